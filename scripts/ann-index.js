@@ -0,0 +1,193 @@
+// Approximate nearest-neighbour index for semantic search: an inverted file
+// (IVF), as in FAISS. The embeddings are partitioned by spherical k-means;
+// a query is compared with the partition centroids and then scanned exactly
+// within the `nprobe` closest partitions only.
+//
+// The index refers to embeddings by their position in the search index's
+// `embeddings` list, so it has to be rebuilt whenever that list changes.
+
+import { createRng } from './clustering.js';
+
+// Smaller corpora are scanned exactly; no index is written for them
+export const MIN_ANN_SIZE = 1000;
+
+// Target recall@k when choosing how many partitions a query probes
+export const TARGET_RECALL = 0.95;
+export const RECALL_K = 10;
+
+const MAX_ITERATIONS = 25;
+// K-means is trained on a sample for very large corpora, then all vectors are assigned
+const MAX_TRAINING_POINTS = 20000;
+// Queries (drawn from the corpus) used to measure recall
+const RECALL_QUERIES = 200;
+// Above this share of the corpus scanned per query, exact search is used instead
+const MAX_SCANNED_FRACTION = 0.5;
+
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Positions of `count` distinct items out of `n`, in a seeded random order
+function sample(n, count, rng) {
+  const positions = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [positions[i], positions[j]] = [positions[j], positions[i]];
+  }
+  return positions.slice(0, count);
+}
+
+function nearestCentroid(vector, centroids) {
+  let best = 0;
+  let bestSimilarity = -Infinity;
+  centroids.forEach((centroid, c) => {
+    const similarity = dot(vector, centroid);
+    if (similarity > bestSimilarity) {
+      bestSimilarity = similarity;
+      best = c;
+    }
+  });
+  return best;
+}
+
+// K-means on the unit sphere: centroids are renormalised means, and points
+// join the centroid with the highest cosine similarity. K-means++ seeding.
+function sphericalKMeans(vectors, k, rng) {
+  const centroids = [vectors[Math.floor(rng() * vectors.length)]];
+  const closest = vectors.map(v => 1 - dot(v, centroids[0]));
+  while (centroids.length < k) {
+    const total = closest.reduce((sum, d) => sum + Math.max(0, d) ** 2, 0);
+    let chosen = closest.findIndex(d => d > 0);
+    if (total > 0) {
+      let target = rng() * total;
+      for (let i = 0; i < vectors.length; i++) {
+        target -= Math.max(0, closest[i]) ** 2;
+        if (target <= 0 && closest[i] > 0) {
+          chosen = i;
+          break;
+        }
+      }
+    }
+    // Fewer distinct points than partitions
+    if (chosen === -1) break;
+    centroids.push(vectors[chosen]);
+    vectors.forEach((v, i) => {
+      closest[i] = Math.min(closest[i], 1 - dot(v, vectors[chosen]));
+    });
+  }
+
+  const assignment = new Int32Array(vectors.length).fill(-1);
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let changed = false;
+    vectors.forEach((v, i) => {
+      const c = nearestCentroid(v, centroids);
+      if (c !== assignment[i]) {
+        assignment[i] = c;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    // Empty partitions keep their previous centroid
+    const sums = centroids.map(c => new Float32Array(c.length));
+    vectors.forEach((v, i) => {
+      const sum = sums[assignment[i]];
+      for (let j = 0; j < v.length; j++) sum[j] += v[j];
+    });
+    sums.forEach((sum, c) => {
+      if (sum.some(value => value !== 0)) centroids[c] = normalize(sum);
+    });
+  }
+  return centroids;
+}
+
+// Top `k` positions by similarity, scanning only the given candidates
+function topK(query, vectors, candidates, k) {
+  return candidates
+    .map(i => ({ i, similarity: dot(query, vectors[i]) }))
+    .sort((a, b) => b.similarity - a.similarity || a.i - b.i)
+    .slice(0, k)
+    .map(hit => hit.i);
+}
+
+function probe(query, centroids, lists, nprobe) {
+  return centroids
+    .map((centroid, c) => ({ c, similarity: dot(query, centroid) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, nprobe)
+    .flatMap(({ c }) => lists[c]);
+}
+
+// Average share of the exact top `k` that probing `nprobe` partitions finds
+function measureRecall(vectors, centroids, lists, nprobe, queries, exact, k) {
+  const total = queries.reduce((sum, q, qi) => {
+    const found = new Set(topK(vectors[q], vectors, probe(vectors[q], centroids, lists, nprobe), k));
+    return sum + exact[qi].filter(i => found.has(i)).length / exact[qi].length;
+  }, 0);
+  return total / queries.length;
+}
+
+// Builds the IVF index for `embeddings` (arrays of numbers, in search index
+// order), or returns null when exact search is as good: the corpus is small,
+// or has too little structure for partitions to narrow the scan. `nprobe` is
+// the smallest probe count that reaches TARGET_RECALL on a sample of corpus
+// vectors used as queries.
+export function buildAnnIndex(embeddings, { seed, minSize = MIN_ANN_SIZE } = {}) {
+  if (embeddings.length < minSize) return null;
+
+  const vectors = embeddings.map(normalize);
+  const dimensions = vectors[0].length;
+  const rng = createRng(seed);
+
+  const partitions = Math.round(Math.sqrt(vectors.length));
+  const training = sample(vectors.length, Math.min(vectors.length, MAX_TRAINING_POINTS), rng)
+    .sort((a, b) => a - b)
+    .map(i => vectors[i]);
+  const centroids = sphericalKMeans(training, partitions, rng);
+
+  const lists = centroids.map(() => []);
+  vectors.forEach((v, i) => lists[nearestCentroid(v, centroids)].push(i));
+
+  const queries = sample(vectors.length, Math.min(vectors.length, RECALL_QUERIES), rng);
+  const all = vectors.map((_, i) => i);
+  const exact = queries.map(q => topK(vectors[q], vectors, all, RECALL_K));
+
+  // Recall only grows with nprobe, so binary search for the smallest enough
+  let low = 1;
+  let high = centroids.length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (measureRecall(vectors, centroids, lists, mid, queries, exact, RECALL_K) >= TARGET_RECALL) high = mid;
+    else low = mid + 1;
+  }
+  const nprobe = low;
+  const recall = measureRecall(vectors, centroids, lists, nprobe, queries, exact, RECALL_K);
+
+  // Without cluster structure most partitions must be probed, and the index only adds overhead
+  const scanned = queries.reduce((sum, q) => sum + probe(vectors[q], centroids, lists, nprobe).length, 0) / queries.length;
+  if (scanned / vectors.length > MAX_SCANNED_FRACTION) return null;
+
+  return {
+    type: 'ivf',
+    metric: 'cosine',
+    count: vectors.length,
+    dimensions,
+    nprobe,
+    recall: { k: RECALL_K, value: Number(recall.toFixed(3)), queries: queries.length },
+    // Average share of the corpus a query scans
+    scannedFraction: Number((scanned / vectors.length).toFixed(3)),
+    centroids: centroids.map(c => Array.from(c, value => Number(value.toFixed(6)))),
+    lists
+  };
+}
@@ -0,0 +1,276 @@
+// Density-based clustering on a precomputed distance matrix (array of rows).
+// Both algorithms return groups of point positions plus the positions that
+// belong to no cluster, instead of forcing outliers into the nearest group.
+
+// Distance from each point to its `k`-th nearest neighbour (excluding itself)
+function kNearestDistances(distances, k) {
+  return distances.map((row, i) => {
+    const sorted = Array.from(row).filter((_, j) => j !== i).sort((a, b) => a - b);
+    return sorted[Math.min(k, sorted.length) - 1] ?? 0;
+  });
+}
+
+// Pick eps at the knee of the sorted k-distance curve: the point furthest
+// below the chord between the smallest and largest k-distance
+export function estimateEps(distances, minPoints) {
+  const sorted = kNearestDistances(distances, minPoints).sort((a, b) => a - b);
+  if (sorted.length < 3) return sorted[sorted.length - 1] || 0;
+
+  const first = sorted[0];
+  const span = sorted[sorted.length - 1] - first || 1;
+  let best = 0;
+  let bestDistance = -Infinity;
+  sorted.forEach((value, i) => {
+    const distance = i / (sorted.length - 1) - (value - first) / span;
+    if (distance > bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  });
+  return sorted[best];
+}
+
+// Classic DBSCAN: points with at least `minPoints` neighbours within `eps`
+// are core points; clusters grow through core points, everything else is noise
+export function dbscan(distances, { eps, minPoints }) {
+  const n = distances.length;
+  const UNVISITED = -2;
+  const NOISE = -1;
+  const labels = new Array(n).fill(UNVISITED);
+  const neighboursOf = i => {
+    const result = [];
+    distances[i].forEach((d, j) => {
+      if (j !== i && d <= eps) result.push(j);
+    });
+    return result;
+  };
+
+  let cluster = 0;
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== UNVISITED) continue;
+
+    const neighbours = neighboursOf(i);
+    // A point counts itself towards minPoints
+    if (neighbours.length + 1 < minPoints) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    labels[i] = cluster;
+    const queue = [...neighbours];
+    while (queue.length > 0) {
+      const j = queue.shift();
+      if (labels[j] === NOISE) labels[j] = cluster;
+      if (labels[j] !== UNVISITED) continue;
+
+      labels[j] = cluster;
+      const next = neighboursOf(j);
+      if (next.length + 1 >= minPoints) {
+        queue.push(...next);
+      }
+    }
+    cluster++;
+  }
+
+  const groups = Array.from({ length: cluster }, () => []);
+  const noise = [];
+  labels.forEach((label, i) => {
+    if (label === NOISE) {
+      noise.push(i);
+    } else {
+      groups[label].push(i);
+    }
+  });
+  return { groups, noise };
+}
+
+// Minimum spanning tree over mutual reachability distances (Prim, O(n²))
+function mutualReachabilityTree(distances, coreDistances) {
+  const n = distances.length;
+  const inTree = new Array(n).fill(false);
+  const best = new Array(n).fill(Infinity);
+  const from = new Array(n).fill(-1);
+  const edges = [];
+
+  let current = 0;
+  inTree[0] = true;
+  for (let added = 1; added < n; added++) {
+    let next = -1;
+    for (let j = 0; j < n; j++) {
+      if (inTree[j]) continue;
+      const reach = Math.max(coreDistances[current], coreDistances[j], distances[current][j]);
+      if (reach < best[j]) {
+        best[j] = reach;
+        from[j] = current;
+      }
+      if (next === -1 || best[j] < best[next]) next = j;
+    }
+    inTree[next] = true;
+    edges.push({ a: from[next], b: next, distance: best[next] });
+    current = next;
+  }
+
+  return edges.sort((x, y) => x.distance - y.distance);
+}
+
+// Single-linkage hierarchy from sorted MST edges. Leaves are 0..n-1, merge i
+// creates node n + i.
+function singleLinkage(edges, n) {
+  const parent = Array.from({ length: 2 * n - 1 }, (_, i) => i);
+  const find = x => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  const size = new Array(2 * n - 1).fill(1);
+
+  return edges.map(({ a, b, distance }, i) => {
+    const node = n + i;
+    const left = find(a);
+    const right = find(b);
+    parent[left] = node;
+    parent[right] = node;
+    size[node] = size[left] + size[right];
+    return { left, right, distance, size: size[node] };
+  });
+}
+
+// HDBSCAN (Campello et al.): build the single-linkage tree over mutual
+// reachability distances, condense it to splits where both sides have at least
+// `minClusterSize` points, and keep the clusters with the greatest stability.
+// Points that only ever fall out of clusters are noise. `minClusterSize` must
+// be at least 2: single points cannot split further.
+export function hdbscan(distances, { minClusterSize }) {
+  if (!(minClusterSize >= 2)) {
+    throw new Error(`Invalid minimum cluster size ${minClusterSize}: a cluster needs at least 2 points`);
+  }
+  const n = distances.length;
+  if (n < minClusterSize) {
+    return { groups: [], noise: Array.from({ length: n }, (_, i) => i) };
+  }
+
+  const coreDistances = kNearestDistances(distances, Math.max(1, minClusterSize - 1));
+  const merges = singleLinkage(mutualReachabilityTree(distances, coreDistances), n);
+  const sizeOf = node => (node < n ? 1 : merges[node - n].size);
+  const leavesOf = node => {
+    const leaves = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current < n) {
+        leaves.push(current);
+      } else {
+        stack.push(merges[current - n].left, merges[current - n].right);
+      }
+    }
+    return leaves;
+  };
+  const lambdaOf = distance => 1 / Math.max(distance, 1e-10);
+
+  // Condensed tree: clusters are numbered from 0 (the root) in creation order,
+  // so every child has a larger label than its parent
+  const birth = [0];
+  const parentOf = [-1];
+  const pointParent = new Array(n).fill(0);
+  const pointLambda = new Array(n).fill(0);
+  const childClusters = [[]];
+
+  const stack = [{ node: 2 * n - 2, label: 0 }];
+  while (stack.length > 0) {
+    const { node, label } = stack.pop();
+    const { left, right, distance } = merges[node - n];
+    const lambda = lambdaOf(distance);
+    const children = [left, right];
+    const large = children.filter(child => sizeOf(child) >= minClusterSize);
+
+    children.forEach(child => {
+      if (large.length === 2) {
+        // A true split: both sides become new clusters
+        const childLabel = birth.length;
+        birth.push(lambda);
+        parentOf.push(label);
+        childClusters.push([]);
+        childClusters[label].push(childLabel);
+        stack.push({ node: child, label: childLabel });
+      } else if (large.includes(child)) {
+        // The cluster carries on through its larger side
+        stack.push({ node: child, label });
+      } else {
+        // Points on a small side fall out of the cluster at this lambda
+        leavesOf(child).forEach(point => {
+          pointParent[point] = label;
+          pointLambda[point] = lambda;
+        });
+      }
+    });
+  }
+
+  // Stability: sum over the cluster's points of how long they stayed in it
+  const stability = new Array(birth.length).fill(0);
+  pointParent.forEach((label, point) => {
+    stability[label] += pointLambda[point] - birth[label];
+  });
+  childClusters.forEach((children, label) => {
+    children.forEach(child => {
+      stability[label] += (birth[child] - birth[label]) * leavesCount(child);
+    });
+  });
+
+  function leavesCount(label) {
+    let count = pointParent.filter(p => p === label).length;
+    childClusters[label].forEach(child => {
+      count += leavesCount(child);
+    });
+    return count;
+  }
+
+  // Excess-of-mass selection, bottom-up. The root is never selected, so a
+  // corpus without structure is reported as noise rather than one big cluster.
+  const selected = new Array(birth.length).fill(false);
+  const best = [...stability];
+  for (let label = birth.length - 1; label > 0; label--) {
+    const childTotal = childClusters[label].reduce((sum, child) => sum + best[child], 0);
+    if (childClusters[label].length > 0 && childTotal > stability[label]) {
+      best[label] = childTotal;
+    } else {
+      selected[label] = true;
+    }
+  }
+  // Deselect clusters whose ancestor was selected
+  for (let label = 1; label < birth.length; label++) {
+    let ancestor = parentOf[label];
+    while (ancestor > 0) {
+      if (selected[ancestor]) {
+        selected[label] = false;
+        break;
+      }
+      ancestor = parentOf[ancestor];
+    }
+  }
+
+  const groupOf = new Map();
+  const groups = [];
+  selected.forEach((isSelected, label) => {
+    if (isSelected) {
+      groupOf.set(label, groups.length);
+      groups.push([]);
+    }
+  });
+
+  const noise = [];
+  pointParent.forEach((label, point) => {
+    let current = label;
+    while (current > 0 && !groupOf.has(current)) {
+      current = parentOf[current];
+    }
+    if (groupOf.has(current)) {
+      groups[groupOf.get(current)].push(point);
+    } else {
+      noise.push(point);
+    }
+  });
+
+  return { groups: groups.filter(g => g.length > 0), noise };
+}
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hdbscan } from './clustering-density.js';
+import { clusterVectors, cosineDistanceMatrix } from './clustering.js';
+
+// Two tight pairs far apart from each other
+const vectors = [[1, 0], [0.99, 0.01], [0, 1], [0.01, 0.99]];
+
+test('hdbscan rejects a minimum cluster size below 2', () => {
+  const distances = cosineDistanceMatrix(vectors);
+  assert.throws(() => hdbscan(distances, { minClusterSize: 1 }), /at least 2 points/);
+  assert.throws(() => hdbscan(distances, { minClusterSize: 0 }), /at least 2 points/);
+});
+
+test('hdbscan finds clusters of exactly the minimum size', () => {
+  const { groups, noise } = hdbscan(cosineDistanceMatrix(vectors), { minClusterSize: 2 });
+  assert.deepEqual(groups.map(group => [...group].sort()).sort(), [[0, 1], [2, 3]]);
+  assert.deepEqual(noise, []);
+});
+
+test('hdbscan reports everything as noise when there are fewer points than the minimum', () => {
+  const { groups, noise } = hdbscan(cosineDistanceMatrix(vectors.slice(0, 2)), { minClusterSize: 3 });
+  assert.deepEqual(groups, []);
+  assert.deepEqual(noise, [0, 1]);
+});
+
+test('clusterVectors rejects a minimum cluster size below 2 for density-based algorithms', () => {
+  const vectorIndex = vectors.map((embedding, index) => ({ index, embedding }));
+  ['dbscan', 'hdbscan'].forEach(algorithm => {
+    assert.throws(() => clusterVectors(vectorIndex, { algorithm, minClusterSize: 1 }), /at least 2 points/);
+  });
+  assert.equal(clusterVectors(vectorIndex, { algorithm: 'hdbscan', minClusterSize: 2 }).k, 2);
+});
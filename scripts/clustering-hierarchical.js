@@ -0,0 +1,102 @@
+// Agglomerative (bottom-up) clustering on a precomputed distance matrix.
+// The merge list is the dendrogram: leaves are point positions 0..n-1 and
+// merge i creates node n + i, in the same layout as SciPy's linkage matrix.
+
+// Average linkage (UPGMA). Each active cluster caches its nearest neighbour,
+// so only rows that pointed at a merged cluster need rescanning.
+export function agglomerative(distances) {
+  const n = distances.length;
+  const d = distances.map(row => Float64Array.from(row));
+  const active = new Array(n).fill(true);
+  const nodeId = Array.from({ length: n }, (_, i) => i);
+  const size = new Array(n).fill(1);
+  const nearest = new Array(n).fill(-1);
+  const nearestDistance = new Array(n).fill(Infinity);
+
+  const updateNearest = i => {
+    nearest[i] = -1;
+    nearestDistance[i] = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (j !== i && active[j] && d[i][j] < nearestDistance[i]) {
+        nearest[i] = j;
+        nearestDistance[i] = d[i][j];
+      }
+    }
+  };
+  for (let i = 0; i < n; i++) updateNearest(i);
+
+  const merges = [];
+  for (let step = 0; step < n - 1; step++) {
+    let a = -1;
+    for (let i = 0; i < n; i++) {
+      if (active[i] && nearest[i] !== -1 && (a === -1 || nearestDistance[i] < nearestDistance[a])) {
+        a = i;
+      }
+    }
+    const b = nearest[a];
+    const distance = d[a][b];
+
+    merges.push({
+      left: Math.min(nodeId[a], nodeId[b]),
+      right: Math.max(nodeId[a], nodeId[b]),
+      distance,
+      size: size[a] + size[b]
+    });
+
+    // Merge b into a (Lance–Williams update for average linkage)
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === a || k === b) continue;
+      const merged = (size[a] * d[a][k] + size[b] * d[b][k]) / (size[a] + size[b]);
+      d[a][k] = merged;
+      d[k][a] = merged;
+    }
+    active[b] = false;
+    size[a] += size[b];
+    nodeId[a] = n + step;
+
+    for (let k = 0; k < n; k++) {
+      if (!active[k]) continue;
+      if (k === a || nearest[k] === a || nearest[k] === b) {
+        updateNearest(k);
+      } else if (d[k][a] < nearestDistance[k]) {
+        nearest[k] = a;
+        nearestDistance[k] = d[k][a];
+      }
+    }
+  }
+
+  return merges;
+}
+
+// Cut the dendrogram into k flat clusters by replaying all but the last k - 1
+// merges. Returns groups of point positions.
+export function cutDendrogram(merges, n, k) {
+  const parent = Array.from({ length: 2 * n - 1 }, (_, i) => i);
+  const find = x => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+
+  merges.slice(0, Math.max(0, n - k)).forEach(({ left, right }, i) => {
+    parent[find(left)] = n + i;
+    parent[find(right)] = n + i;
+  });
+
+  const groups = new Map();
+  for (let point = 0; point < n; point++) {
+    const root = find(point);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(point);
+  }
+  return [...groups.values()];
+}
+
+// Cut the dendrogram at a distance: keep every merge at or below `threshold`.
+// Average-linkage merge distances never decrease, so these are the first merges.
+export function cutDendrogramAtDistance(merges, n, threshold) {
+  const kept = merges.filter(merge => merge.distance <= threshold).length;
+  return cutDendrogram(merges, n, n - kept);
+}
@@ -0,0 +1,240 @@
+// Human-readable labels for clusters, derived from the members' own text.
+// Distinctive terms come from class-based TF-IDF (c-TF-IDF, as in BERTopic):
+// all text of a cluster is treated as one document, so a term scores high when
+// it is frequent in that cluster and rare in the others.
+
+import { cosineDistance } from './clustering.js';
+
+const TERM_COUNT = 8;
+const LABEL_TERMS = 3;
+const TOP_CATEGORIES = 3;
+
+const STOP_WORDS = new Set(`
+  a about above after again against all also am an and any are as at be because been before
+  being below between both but by can could did do does doing down during each even every few
+  for from further had has have having he her here hers herself him himself his how however i
+  if in into is it its itself just like lot many me more most much must my myself no nor not
+  now of off often on once only or other our ours ourselves out over own really same she
+  should so some still such than that the their theirs them themselves then there these they
+  this those through to too under until up upon us very was we were what when where which
+  while who whom why will with within without would yet you your yours yourself yourselves
+  described describes describing discussed felt feel feeling mentioned noted noting said says
+  shared thing things think thought way ways went get got getting make made going know knew
+  one two three don didn doesn wasn isn aren couldn wouldn shouldn ve ll re im
+`.trim().split(/\s+/));
+
+// Text that was embedded for each cluster type, so labels describe what the
+// clustering actually compared
+const TEXT_BY_TYPE = {
+  summary: interview => interview.analysis?.summaries?.map(s => `${s.title || ''}. ${s.summaryText}`) || [],
+  themes: interview => interview.analysis?.themes?.map(t => `${t.title}. ${t.description}`) || [],
+  collegeExperience: interview => interview.analysis?.summaries
+    ?.filter(s => s.category?.toLowerCase().includes('college') ||
+                  s.category?.toLowerCase().includes('academic'))
+    ?.map(s => `${s.title || ''}. ${s.summaryText}`) || [],
+  quotes: interview => interview.analysis?.quotes?.map(q => q.quoteText) || []
+};
+
+function quotesFor(interview, tag) {
+  const quotes = interview.analysis?.quotes || [];
+  return tag ? quotes.filter(q => q.tags?.includes(tag)) : quotes;
+}
+
+// Unigrams and bigrams of consecutive content words. Interviewee names are
+// dropped, otherwise small clusters are labelled after the person.
+function extractTerms(text, excluded) {
+  const terms = [];
+  let previous = null;
+  for (const word of text.toLowerCase().replace(/[\u2018\u2019]/g, "'").match(/[a-z][a-z'-]*[a-z]/g) || []) {
+    const token = word.replace(/'s$/, '');
+    if (token.length < 3 || STOP_WORDS.has(token) || excluded.has(token)) {
+      previous = null;
+      continue;
+    }
+    terms.push(token);
+    if (previous) terms.push(`${previous} ${token}`);
+    previous = token;
+  }
+  return terms;
+}
+
+function countBy(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return counts;
+}
+
+// Most frequent values as [{ [key]: value, count }], ties broken alphabetically
+function topCounts(counts, key, limit) {
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+// c-TF-IDF weight of every term per class:
+// W(t, c) = tf(t, c) / |c| * log(1 + A / f(t)), where A is the average number
+// of terms per class and f(t) the frequency of t across all classes
+function classTfIdf(classTerms) {
+  const counts = classTerms.map(countBy);
+  const totals = classTerms.map(terms => terms.length);
+  const average = totals.reduce((sum, n) => sum + n, 0) / Math.max(1, classTerms.length);
+  const frequency = new Map();
+  counts.forEach(termCounts => termCounts.forEach((count, term) => {
+    frequency.set(term, (frequency.get(term) || 0) + count);
+  }));
+
+  return counts.map((termCounts, c) => {
+    const scores = new Map();
+    termCounts.forEach((count, term) => {
+      scores.set(term, (count / totals[c]) * Math.log(1 + average / frequency.get(term)));
+    });
+    return scores;
+  });
+}
+
+// Highest-scoring terms, skipping words already covered by a chosen bigram
+// (and bigrams whose words were already chosen) so labels do not repeat themselves
+function topTerms(scores) {
+  const chosen = [];
+  const covered = new Set();
+  const ranked = [...scores].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  for (const [term, score] of ranked) {
+    if (chosen.length >= TERM_COUNT) break;
+    const words = term.split(' ');
+    if (words.every(word => covered.has(word))) continue;
+    words.forEach(word => covered.add(word));
+    chosen.push({ term, score: Number(score.toFixed(4)) });
+  }
+  return chosen;
+}
+
+// The quote whose embedding is nearest the cluster center
+function centralQuote(candidates, center) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(({ interviewId, quote }) => {
+    if (!quote.embedding?.length || quote.embedding.length !== center.length) return;
+    const distance = cosineDistance(quote.embedding, center);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = { interviewId, quoteId: quote.quoteId, text: quote.quoteText };
+    }
+  });
+  return best;
+}
+
+function describe(size, themes, tags, interviewCount = null) {
+  const parts = [];
+  if (interviewCount !== null) {
+    parts.push(`Raised in ${interviewCount} interview${interviewCount === 1 ? '' : 's'}`);
+  }
+  if (themes.length > 0) {
+    parts.push(`Themes: ${themes.map(t => `${t.category} (${t.count} of ${size})`).join(', ')}`);
+  }
+  if (tags.length > 0) {
+    parts.push(`Tags: ${tags.map(t => t.tag).join(', ')}`);
+  }
+  return parts.length > 0 ? `${parts.join('. ')}.` : '';
+}
+
+// Interviewee names, which are left out of the distinctive terms
+function nameTokens(interviews) {
+  return new Set(interviews.flatMap(interview =>
+    (interview.intervieweeName || '').toLowerCase().match(/[a-z]+/g) || []
+  ));
+}
+
+// Labels every cluster of a result. `source` maps a member index to its texts,
+// candidate quotes ({ interviewId, quote }), theme categories, tags and
+// interview; categories and tags are counted once per member.
+function labelWith(result, source, excluded, { countInterviews = false } = {}) {
+  const termsOf = members => members.flatMap(index =>
+    source.texts(index).flatMap(text => extractTerms(text || '', excluded))
+  );
+
+  // Noise takes part as its own class so its words do not look distinctive elsewhere
+  const classes = result.clusters.map(cluster => termsOf(cluster.members));
+  if (result.noise?.length > 0) classes.push(termsOf(result.noise));
+  const scores = classTfIdf(classes);
+
+  const clusters = result.clusters.map((cluster, i) => {
+    const terms = topTerms(scores[i]);
+    const countPerMember = accessor => countBy(
+      cluster.members.flatMap(index => [...new Set(accessor(index).filter(Boolean))])
+    );
+    const themes = topCounts(countPerMember(source.categories), 'category', TOP_CATEGORIES);
+    const tags = topCounts(countPerMember(source.tags), 'tag', TOP_CATEGORIES);
+    const interviewCount = countInterviews
+      ? new Set(cluster.members.map(source.interview)).size
+      : null;
+
+    return {
+      ...cluster,
+      label: terms.slice(0, LABEL_TERMS).map(t => t.term).join(', ') || `Cluster ${i + 1}`,
+      description: describe(cluster.size, themes, tags, interviewCount),
+      terms,
+      centralQuote: centralQuote(cluster.members.flatMap(source.quotes), cluster.center),
+      themes,
+      tags,
+      ...(countInterviews && { interviews: interviewCount })
+    };
+  });
+
+  return { ...result, clusters };
+}
+
+// Adds label, description, terms, centralQuote, themes and tags to every
+// cluster of an interview-level clustering result. `type` is the cluster type;
+// `tag` is set for per-tag clusterings, whose text is the quotes carrying that tag.
+export function labelClusters(result, interviews, { type, tag = null }) {
+  if (!result?.clusters?.length) return result;
+
+  const textsOf = tag ? interview => quotesFor(interview, tag).map(q => q.quoteText) : TEXT_BY_TYPE[type];
+  // Count per interview rather than per mention, so one talkative interview cannot dominate
+  return labelWith(result, {
+    texts: index => textsOf(interviews[index]),
+    quotes: index => quotesFor(interviews[index], tag)
+      .map(quote => ({ interviewId: interviews[index].interviewId, quote })),
+    categories: index => interviews[index].analysis?.themes?.map(t => t.category) || [],
+    tags: index => quotesFor(interviews[index], tag).flatMap(q => q.tags || []).filter(t => t !== tag),
+    interview: index => index
+  }, nameTokens(interviews));
+}
+
+// The same for corpus-wide clusterings of single quotes or themes (`kind` is
+// 'quote' or 'theme'). Each item has `interviewIndex` and `quoteId` or
+// `themeId`; clusters additionally record how many interviews they span.
+export function labelItemClusters(result, items, interviews, kind) {
+  if (!result?.clusters?.length) return result;
+
+  const analysisOf = index => interviews[items[index].interviewIndex].analysis || {};
+  const quoteById = (index, quoteId) => analysisOf(index).quotes?.find(q => q.quoteId === quoteId);
+  const themeById = (index, themeId) => analysisOf(index).themes?.find(t => t.themeId === themeId);
+  const withInterview = (index, quotes) => quotes.filter(Boolean)
+    .map(quote => ({ interviewId: items[index].interviewId, quote }));
+
+  const source = kind === 'quote'
+    ? {
+      texts: index => [items[index].text],
+      quotes: index => withInterview(index, [quoteById(index, items[index].quoteId)]),
+      categories: index => (quoteById(index, items[index].quoteId)?.relatedThemeIds || [])
+        .map(themeId => themeById(index, themeId)?.category),
+      tags: index => items[index].tags || []
+    }
+    : {
+      texts: index => [items[index].text],
+      quotes: index => withInterview(index, (themeById(index, items[index].themeId)?.relatedQuoteIds || [])
+        .map(quoteId => quoteById(index, quoteId))),
+      categories: index => [items[index].category],
+      tags: index => (themeById(index, items[index].themeId)?.relatedQuoteIds || [])
+        .flatMap(quoteId => quoteById(index, quoteId)?.tags || [])
+    };
+
+  return labelWith(
+    result,
+    { ...source, interview: index => items[index].interviewIndex },
+    nameTokens(interviews),
+    { countInterviews: true }
+  );
+}
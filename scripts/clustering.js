@@ -0,0 +1,569 @@
+import { dbscan, hdbscan, estimateEps } from './clustering-density.js';
+import { agglomerative, cutDendrogram } from './clustering-hierarchical.js';
+
+// Seed used when none is given on the command line. Any fixed value works; it
+// only has to stay the same between builds for clusters to be reproducible.
+export const DEFAULT_SEED = 42;
+
+// Independent k-means++ runs per clustering; the lowest-inertia run is kept
+export const DEFAULT_RESTARTS = 10;
+
+const MAX_ITERATIONS = 20;
+
+// Selectable per cluster type. k-means and agglomerative clustering use k (or
+// choose it); the density-based algorithms find the number of clusters
+// themselves and report points that fit nowhere as noise.
+export const ALGORITHMS = ['kmeans', 'agglomerative', 'dbscan', 'hdbscan'];
+export const DEFAULT_ALGORITHM = 'kmeans';
+
+// Criteria for choosing k when it is not fixed
+export const K_METRICS = ['silhouette', 'davies-bouldin', 'elbow', 'gap'];
+export const DEFAULT_K_METRIC = 'silhouette';
+
+// Upper bound for automatically chosen k; the range also grows with sqrt(n)
+const MAX_AUTO_K = 12;
+
+// Uniform reference datasets drawn per k for the gap statistic
+const GAP_REFERENCES = 5;
+
+// mulberry32: small, fast seeded PRNG returning floats in [0, 1)
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function euclideanDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum);
+}
+
+// 1 - cosine similarity; vectors without direction are maximally distant
+export function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 1;
+  return Math.max(0, 1 - dot / Math.sqrt(normA * normB));
+}
+
+export function cosineDistanceMatrix(vectors) {
+  const rows = vectors.map(() => new Float64Array(vectors.length));
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) {
+      const distance = cosineDistance(vectors[i], vectors[j]);
+      rows[i][j] = distance;
+      rows[j][i] = distance;
+    }
+  }
+  return rows;
+}
+
+function meanVector(vectors) {
+  const mean = new Array(vectors[0].length).fill(0);
+  vectors.forEach(v => v.forEach((val, i) => {
+    mean[i] += val;
+  }));
+  return mean.map(val => val / vectors.length);
+}
+
+// K-means++ initialization: the first center is random, each further center is
+// drawn with probability proportional to its squared distance to the nearest center
+function initializeCenters(vectors, k, rng) {
+  const centers = [];
+  const used = new Set();
+
+  const firstIdx = Math.floor(rng() * vectors.length);
+  centers.push([...vectors[firstIdx]]);
+  used.add(firstIdx);
+
+  for (let i = 1; i < k; i++) {
+    const weights = vectors.map((v, idx) => {
+      if (used.has(idx)) return 0;
+      let minDist = Infinity;
+      centers.forEach(center => {
+        minDist = Math.min(minDist, euclideanDistance(v, center));
+      });
+      return minDist * minDist;
+    });
+
+    const total = weights.reduce((a, b) => a + b, 0);
+    let chosenIdx = -1;
+    if (total > 0) {
+      let random = rng() * total;
+      for (let j = 0; j < weights.length; j++) {
+        random -= weights[j];
+        if (random <= 0 && weights[j] > 0) {
+          chosenIdx = j;
+          break;
+        }
+      }
+    }
+    // Every remaining point coincides with a center; take the first unused one
+    if (chosenIdx === -1) {
+      chosenIdx = vectors.findIndex((_, idx) => !used.has(idx));
+    }
+
+    centers.push([...vectors[chosenIdx]]);
+    used.add(chosenIdx);
+  }
+
+  return centers;
+}
+
+// One k-means run. Returns the assignment (cluster per vector), centers and inertia.
+function runKMeans(vectors, k, rng) {
+  const centers = initializeCenters(vectors, k, rng);
+  const assignment = new Array(vectors.length).fill(0);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    // Assign to nearest cluster
+    vectors.forEach((v, idx) => {
+      let minDist = Infinity;
+      centers.forEach((center, cIdx) => {
+        const dist = euclideanDistance(v, center);
+        if (dist < minDist) {
+          minDist = dist;
+          assignment[idx] = cIdx;
+        }
+      });
+    });
+
+    // Update centers; empty clusters keep their previous center
+    let changed = false;
+    centers.forEach((center, cIdx) => {
+      const members = vectors.filter((_, idx) => assignment[idx] === cIdx);
+      if (members.length === 0) return;
+
+      const newCenter = new Array(center.length).fill(0);
+      members.forEach(v => v.forEach((val, i) => {
+        newCenter[i] += val;
+      }));
+      newCenter.forEach((val, i) => {
+        newCenter[i] /= members.length;
+        if (Math.abs(newCenter[i] - center[i]) > 0.001) {
+          changed = true;
+        }
+      });
+      centers[cIdx] = newCenter;
+    });
+
+    if (!changed) break;
+  }
+
+  const inertia = vectors.reduce(
+    (sum, v, idx) => sum + euclideanDistance(v, centers[assignment[idx]]) ** 2,
+    0
+  );
+
+  return { assignment, centers, inertia };
+}
+
+function bestKMeans(vectors, k, rng, restarts) {
+  let best = null;
+  for (let run = 0; run < restarts; run++) {
+    const result = runKMeans(vectors, k, rng);
+    if (!best || result.inertia < best.inertia) {
+      best = result;
+    }
+  }
+  return best;
+}
+
+function calculateClusterCohesion(memberVectors, center) {
+  if (memberVectors.length <= 1) return 1;
+
+  const totalDist = memberVectors.reduce((sum, v) => sum + euclideanDistance(v, center), 0);
+  return 1 / (1 + totalDist / memberVectors.length);
+}
+
+// Turn groups of positions in the vector index into cluster objects. Clusters
+// are ordered by size, then by their first member, so the same grouping always
+// gets the same numbering.
+function buildClusters(vectorIndex, groups, centers = null) {
+  const vectors = vectorIndex.map(item => item.embedding);
+
+  const clusters = groups.map((positions, g) => {
+    const memberVectors = positions.map(idx => vectors[idx]);
+    const center = centers ? centers[g] : meanVector(memberVectors);
+    return {
+      center,
+      members: positions.map(idx => vectorIndex[idx].index).sort((a, b) => a - b),
+      cohesion: calculateClusterCohesion(memberVectors, center)
+    };
+  });
+
+  clusters.sort((a, b) =>
+    b.members.length - a.members.length || (a.members[0] ?? Infinity) - (b.members[0] ?? Infinity)
+  );
+
+  return clusters.map((cluster, i) => ({
+    id: `cluster_${i}`,
+    center: cluster.center,
+    members: cluster.members,
+    size: cluster.members.length,
+    cohesion: cluster.cohesion
+  }));
+}
+
+// Perform clustering using k-means++ with a seeded PRNG. The best of several
+// restarts (lowest inertia) is kept.
+export function performClustering(vectorIndex, k = 3, { seed = DEFAULT_SEED, restarts = DEFAULT_RESTARTS } = {}) {
+  if (!vectorIndex || vectorIndex.length === 0) return [];
+
+  const vectors = vectorIndex.map(item => item.embedding);
+  const actualK = Math.min(k, vectors.length);
+  const best = bestKMeans(vectors, actualK, createRng(seed), restarts);
+
+  const groups = best.centers.map((_, cIdx) =>
+    vectors.map((_, idx) => idx).filter(idx => best.assignment[idx] === cIdx)
+  );
+  return buildClusters(vectorIndex, groups, best.centers);
+}
+
+// Mean silhouette coefficient. Large indices are scored on an evenly spaced
+// sample to keep the pairwise distance computation manageable.
+export function silhouetteScore(vectorIndex, clusters, maxSamples = 1000) {
+  const assignment = new Map();
+  clusters.forEach((cluster, cIdx) => {
+    cluster.members.forEach(memberIdx => assignment.set(memberIdx, cIdx));
+  });
+
+  const step = Math.max(1, Math.ceil(vectorIndex.length / maxSamples));
+  const sample = vectorIndex.filter((_, i) => i % step === 0);
+
+  let total = 0;
+  sample.forEach(item => {
+    const own = assignment.get(item.index);
+    const sums = new Array(clusters.length).fill(0);
+    const counts = new Array(clusters.length).fill(0);
+
+    sample.forEach(other => {
+      if (other === item) return;
+      const cIdx = assignment.get(other.index);
+      sums[cIdx] += euclideanDistance(item.embedding, other.embedding);
+      counts[cIdx]++;
+    });
+
+    // Points alone in their cluster score 0
+    if (counts[own] === 0) return;
+
+    const a = sums[own] / counts[own];
+    let b = Infinity;
+    sums.forEach((sum, cIdx) => {
+      if (cIdx !== own && counts[cIdx] > 0) b = Math.min(b, sum / counts[cIdx]);
+    });
+    if (b !== Infinity && Math.max(a, b) > 0) {
+      total += (b - a) / Math.max(a, b);
+    }
+  });
+
+  return sample.length > 0 ? total / sample.length : 0;
+}
+
+function embeddingsByIndex(vectorIndex) {
+  return new Map(vectorIndex.map(item => [item.index, item.embedding]));
+}
+
+// Sum of squared distances from each point to its cluster center
+export function inertia(vectorIndex, clusters) {
+  const embeddings = embeddingsByIndex(vectorIndex);
+  return clusters.reduce((sum, cluster) => sum + cluster.members.reduce(
+    (clusterSum, memberIdx) => clusterSum + euclideanDistance(embeddings.get(memberIdx), cluster.center) ** 2,
+    0
+  ), 0);
+}
+
+// Davies–Bouldin index: average similarity of each cluster to its most
+// similar neighbour. Lower is better.
+export function daviesBouldinIndex(vectorIndex, clusters) {
+  const embeddings = embeddingsByIndex(vectorIndex);
+  const nonEmpty = clusters.filter(c => c.members.length > 0);
+  if (nonEmpty.length < 2) return null;
+
+  const scatter = nonEmpty.map(cluster => cluster.members.reduce(
+    (sum, memberIdx) => sum + euclideanDistance(embeddings.get(memberIdx), cluster.center),
+    0
+  ) / cluster.members.length);
+
+  const total = nonEmpty.reduce((sum, cluster, i) => {
+    let worst = 0;
+    nonEmpty.forEach((other, j) => {
+      if (i === j) return;
+      const separation = euclideanDistance(cluster.center, other.center);
+      if (separation > 0) {
+        worst = Math.max(worst, (scatter[i] + scatter[j]) / separation);
+      }
+    });
+    return sum + worst;
+  }, 0);
+
+  return total / nonEmpty.length;
+}
+
+// Gap statistic per k (Tibshirani et al.): how much tighter the clustering is
+// than clusterings of uniform data spanning the same bounding box
+function gapStatistics(vectorIndex, curve, { seed, restarts }) {
+  const vectors = vectorIndex.map(item => item.embedding);
+  const dims = vectors[0].length;
+  const lower = Array.from({ length: dims }, (_, d) => Math.min(...vectors.map(v => v[d])));
+  const upper = Array.from({ length: dims }, (_, d) => Math.max(...vectors.map(v => v[d])));
+  const rng = createRng(seed);
+
+  const references = Array.from({ length: GAP_REFERENCES }, () =>
+    vectors.map(() => lower.map((low, d) => low + rng() * (upper[d] - low)))
+  );
+
+  return curve.map(point => {
+    const logW = references.map(reference =>
+      Math.log(Math.max(bestKMeans(reference, point.k, rng, Math.min(restarts, 2)).inertia, 1e-12))
+    );
+    const mean = logW.reduce((a, b) => a + b, 0) / logW.length;
+    const sd = Math.sqrt(logW.reduce((sum, w) => sum + (w - mean) ** 2, 0) / logW.length);
+    return {
+      gap: mean - Math.log(Math.max(point.inertia, 1e-12)),
+      gapError: sd * Math.sqrt(1 + 1 / GAP_REFERENCES)
+    };
+  });
+}
+
+// Index of the elbow: the point furthest from the straight line between the
+// first and last points of the normalized inertia curve
+function findElbow(curve) {
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  const kSpan = last.k - first.k || 1;
+  const inertiaSpan = first.inertia - last.inertia || 1;
+
+  let bestIdx = 0;
+  let bestDistance = -Infinity;
+  curve.forEach((point, i) => {
+    const x = (point.k - first.k) / kSpan;
+    const y = (first.inertia - point.inertia) / inertiaSpan;
+    // Distance to the line y = x, up to a constant factor
+    const distance = y - x;
+    if (distance > bestDistance) {
+      bestDistance = distance;
+      bestIdx = i;
+    }
+  });
+  return bestIdx;
+}
+
+const format = value => value.toFixed(3);
+
+// Pick the best k from the evaluated curve, returning its position and a
+// human-readable reason
+function chooseK(curve, metric) {
+  const argBest = (key, better) => curve.reduce(
+    (best, point, i) => (point[key] !== null && (best === -1 || better(point[key], curve[best][key])) ? i : best),
+    -1
+  );
+
+  if (metric === 'davies-bouldin') {
+    const i = argBest('daviesBouldin', (a, b) => a < b);
+    if (i !== -1) {
+      return { index: i, reason: `Lowest Davies–Bouldin index (${format(curve[i].daviesBouldin)})` };
+    }
+  }
+
+  if (metric === 'elbow' && curve.length >= 3) {
+    const i = findElbow(curve);
+    return { index: i, reason: `Elbow of the inertia curve (inertia ${format(curve[i].inertia)})` };
+  }
+
+  if (metric === 'gap') {
+    // Smallest k whose gap is within one standard error of the next k's gap
+    for (let i = 0; i < curve.length - 1; i++) {
+      if (curve[i].gap >= curve[i + 1].gap - curve[i + 1].gapError) {
+        return { index: i, reason: `Smallest k with gap(k) ≥ gap(k+1) − s(k+1) (gap ${format(curve[i].gap)})` };
+      }
+    }
+    const i = argBest('gap', (a, b) => a > b);
+    return { index: i, reason: `Largest gap statistic (${format(curve[i].gap)})` };
+  }
+
+  const i = Math.max(0, argBest('silhouette', (a, b) => a > b));
+  const fallback = metric === 'silhouette' ? '' : ` (not enough candidates for ${metric})`;
+  return { index: i, reason: `Highest silhouette score (${format(curve[i].silhouette)})${fallback}` };
+}
+
+// Candidate k values for automatic selection, scaled to the number of points
+export function autoKRange(count) {
+  const max = Math.min(MAX_AUTO_K, Math.ceil(Math.sqrt(count)), count - 1);
+  if (max < 2) return { min: 1, max: 1 };
+  return { min: 2, max };
+}
+
+// Cluster with a fixed k, or evaluate every k in a range (`null` for an
+// automatic range) and keep the best one by `metric`. `clusterForK` produces
+// the clusters for one k. The gap statistic needs k-means reference runs, so
+// it is only available when `gapOptions` is given.
+function selectK(vectorIndex, kRange, clusterForK, metric, gapOptions = null) {
+  const { min, max } = kRange || autoKRange(vectorIndex.length);
+  const upper = Math.max(min, Math.min(max, vectorIndex.length - 1));
+
+  const candidates = [];
+  for (let k = min; k <= upper; k++) {
+    const clusters = clusterForK(k);
+    candidates.push({
+      clusters,
+      point: {
+        k: clusters.length,
+        silhouette: clusters.length > 1 ? silhouetteScore(vectorIndex, clusters) : null,
+        daviesBouldin: daviesBouldinIndex(vectorIndex, clusters),
+        inertia: inertia(vectorIndex, clusters)
+      }
+    });
+  }
+
+  const curve = candidates.map(c => c.point);
+  let note = '';
+  if (metric === 'gap' && !gapOptions) {
+    metric = DEFAULT_K_METRIC;
+    note = ' (the gap statistic is only available for k-means)';
+  } else if (metric === 'gap' && curve.length > 1) {
+    gapStatistics(vectorIndex, curve, gapOptions).forEach((stats, i) => {
+      Object.assign(curve[i], stats);
+    });
+  }
+
+  const fixed = candidates.length === 1;
+  const { index, reason } = fixed
+    ? { index: 0, reason: kRange ? 'Fixed by --k' : 'Too few points to compare several k' }
+    : chooseK(curve, metric);
+
+  return {
+    k: curve[index].k,
+    selection: {
+      metric: fixed ? null : metric,
+      range: [min, upper],
+      reason: reason + (fixed ? '' : note),
+      curve
+    },
+    clusters: candidates[index].clusters
+  };
+}
+
+// Smallest group the density-based algorithms will call a cluster
+export function defaultMinClusterSize(count) {
+  return Math.max(2, Math.min(5, Math.round(Math.sqrt(count) / 2)));
+}
+
+const ALGORITHM_NAMES = { dbscan: 'DBSCAN', hdbscan: 'HDBSCAN' };
+
+// Agglomerative and density-based clustering work on the full cosine distance
+// matrix (n² doubles, copied once more by agglomerative) and take at least
+// O(n²) time. Above this many points k-means is used instead.
+export const MAX_MATRIX_POINTS = 5000;
+
+// Cluster a vector index with the given algorithm. Returns the clusters, the
+// number of clusters and how it was arrived at, and the indices of noise
+// points that belong to no cluster. Agglomerative results include the
+// dendrogram as a merge list over the leaves. Results that fell back to
+// k-means because of MAX_MATRIX_POINTS carry `fallback: { requested, reason }`.
+export function clusterVectors(vectorIndex, {
+  algorithm = DEFAULT_ALGORITHM,
+  k = null,
+  metric = DEFAULT_K_METRIC,
+  seed = DEFAULT_SEED,
+  restarts = DEFAULT_RESTARTS,
+  minClusterSize = null,
+  eps = null
+} = {}) {
+  if (!vectorIndex || vectorIndex.length === 0) {
+    return { algorithm, k: 0, selection: null, clusters: [], noise: [] };
+  }
+
+  const n = vectorIndex.length;
+
+  if (algorithm === 'kmeans') {
+    const result = selectK(
+      vectorIndex,
+      k,
+      kk => performClustering(vectorIndex, kk, { seed, restarts }),
+      metric,
+      { seed, restarts }
+    );
+    return { algorithm, ...result, noise: [] };
+  }
+
+  if (ALGORITHMS.includes(algorithm) && n > MAX_MATRIX_POINTS) {
+    return {
+      ...clusterVectors(vectorIndex, { algorithm: 'kmeans', k, metric, seed, restarts }),
+      fallback: {
+        requested: algorithm,
+        reason: `${n} points exceed the ${MAX_MATRIX_POINTS}-point limit for ${algorithm}`
+      }
+    };
+  }
+
+  const distances = cosineDistanceMatrix(vectorIndex.map(item => item.embedding));
+
+  if (algorithm === 'agglomerative') {
+    const merges = agglomerative(distances);
+    const result = selectK(
+      vectorIndex,
+      k,
+      kk => buildClusters(vectorIndex, cutDendrogram(merges, n, kk)),
+      metric
+    );
+    return {
+      algorithm,
+      ...result,
+      noise: [],
+      dendrogram: {
+        leaves: vectorIndex.map(item => item.index),
+        merges: merges.map(m => [m.left, m.right, Number(m.distance.toFixed(4)), m.size])
+      }
+    };
+  }
+
+  if (algorithm === 'dbscan' || algorithm === 'hdbscan') {
+    if (minClusterSize !== null && !(minClusterSize >= 2)) {
+      throw new Error(`Invalid minimum cluster size ${minClusterSize}: a cluster needs at least 2 points`);
+    }
+    const minSize = minClusterSize || defaultMinClusterSize(n);
+    let found;
+    let params;
+    if (algorithm === 'dbscan') {
+      const radius = eps ?? estimateEps(distances, minSize);
+      found = dbscan(distances, { eps: radius, minPoints: minSize });
+      params = `eps ${format(radius)}, min points ${minSize}`;
+    } else {
+      found = hdbscan(distances, { minClusterSize: minSize });
+      params = `min cluster size ${minSize}`;
+    }
+
+    const clusters = buildClusters(vectorIndex, found.groups);
+    const noise = found.noise.map(idx => vectorIndex[idx].index).sort((a, b) => a - b);
+    return {
+      algorithm,
+      k: clusters.length,
+      selection: {
+        metric: null,
+        range: null,
+        reason: `${ALGORITHM_NAMES[algorithm]} found ${clusters.length} cluster(s) and ${noise.length} noise point(s) (cosine distance, ${params})`,
+        curve: []
+      },
+      clusters,
+      noise
+    };
+  }
+
+  throw new Error(`Unknown clustering algorithm '${algorithm}' (supported: ${ALGORITHMS.join(', ')})`);
+}
@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterVectors, createRng, MAX_MATRIX_POINTS } from './clustering.js';
+
+test('clusterVectors falls back to k-means above the distance matrix limit', () => {
+  const rng = createRng(1);
+  const vectorIndex = Array.from({ length: MAX_MATRIX_POINTS + 1 }, (_, index) => ({
+    index,
+    embedding: index % 2 ? [1, rng() * 0.1] : [rng() * 0.1, 1]
+  }));
+  const result = clusterVectors(vectorIndex, { algorithm: 'hdbscan', k: { min: 2, max: 2 }, restarts: 1 });
+  assert.equal(result.algorithm, 'kmeans');
+  assert.equal(result.fallback.requested, 'hdbscan');
+  assert.equal(result.clusters.length, 2);
+});
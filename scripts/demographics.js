@@ -0,0 +1,81 @@
+// Demographic attributes exposed as facets in the UI. Every attribute under
+// demographics.custom is added automatically as `custom.<key>`.
+export const DEMOGRAPHIC_FACETS = [
+  { key: 'firstGeneration', label: 'First-generation' },
+  { key: 'ethnicity', label: 'Ethnicity' },
+  { key: 'gender', label: 'Gender' },
+  { key: 'year', label: 'Year' },
+  { key: 'major', label: 'Major' }
+];
+
+// Facets with more distinct values than this are too granular to filter on
+const MAX_FACET_VALUES = 25;
+
+export const UNKNOWN_VALUE = 'Unknown';
+
+function formatValue(value) {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (value === null || value === undefined || String(value).trim() === '') return UNKNOWN_VALUE;
+  return String(value).trim();
+}
+
+// "housingStatus" -> "Housing status"
+function humanize(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Map an interview's demographics to one display value per facet
+export function getDemographicFacets(demographics = {}) {
+  const facets = {};
+  DEMOGRAPHIC_FACETS.forEach(({ key }) => {
+    facets[key] = formatValue(demographics[key]);
+  });
+  Object.entries(demographics.custom || {}).forEach(([key, value]) => {
+    facets[`custom.${key}`] = formatValue(value);
+  });
+  return facets;
+}
+
+// Readable demographics text for the full-text index
+export function describeDemographics(demographics = {}) {
+  const parts = [
+    demographics.age && `age ${demographics.age}`,
+    demographics.gender,
+    demographics.major,
+    demographics.year,
+    demographics.ethnicity,
+    demographics.firstGeneration === true && 'first-generation college student',
+    demographics.firstGeneration === false && 'continuing-generation college student',
+    demographics.other,
+    ...Object.entries(demographics.custom || {}).map(([key, value]) => `${humanize(key)} ${formatValue(value)}`)
+  ];
+  return parts.filter(Boolean).join(' ');
+}
+
+// Count interviews per facet value for the facet panel
+export function summarizeFacets(interviews) {
+  const counts = new Map();
+  interviews.forEach(interview => {
+    Object.entries(interview.facets || {}).forEach(([key, value]) => {
+      if (!counts.has(key)) counts.set(key, new Map());
+      const values = counts.get(key);
+      values.set(value, (values.get(value) || 0) + 1);
+    });
+  });
+
+  const labels = new Map(DEMOGRAPHIC_FACETS.map(f => [f.key, f.label]));
+  const order = key => (labels.has(key) ? DEMOGRAPHIC_FACETS.findIndex(f => f.key === key) : labels.size);
+
+  return [...counts.entries()]
+    .filter(([, values]) => values.size > 1 && values.size <= MAX_FACET_VALUES)
+    .sort(([a], [b]) => order(a) - order(b) || a.localeCompare(b))
+    .map(([key, values]) => ({
+      key,
+      label: labels.get(key) || humanize(key.replace(/^custom\./, '')),
+      values: [...values.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => (a.value === UNKNOWN_VALUE) - (b.value === UNKNOWN_VALUE) || b.count - a.count)
+    }));
+}
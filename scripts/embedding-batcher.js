@@ -0,0 +1,58 @@
+// Collects individual embedding requests and runs them through the model in
+// batches. Requests made while a batch is running are queued and picked up
+// by the next batch, so concurrent files share inference calls.
+export class EmbeddingBatcher {
+  constructor(embedBatch, { batchSize = 32 } = {}) {
+    this.embedBatch = embedBatch;
+    this.batchSize = Math.max(1, batchSize);
+    this.queue = [];
+    this.running = false;
+    this.scheduled = false;
+    this.stats = { batches: 0, texts: 0 };
+  }
+
+  embed(text) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ text, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  // Defer draining until the current round of requests has been queued
+  schedule() {
+    if (this.running || this.scheduled) return;
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
+      this.drain();
+    });
+  }
+
+  async drain() {
+    this.running = true;
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      try {
+        const embeddings = await this.embedBatch(batch.map(item => item.text));
+        batch.forEach((item, i) => item.resolve(embeddings[i]));
+      } catch (error) {
+        batch.forEach(item => item.reject(error));
+      }
+      this.stats.batches++;
+      this.stats.texts += batch.length;
+    }
+
+    this.running = false;
+  }
+
+  resetStats() {
+    this.stats = { batches: 0, texts: 0 };
+  }
+
+  summary() {
+    const { batches, texts } = this.stats;
+    const average = batches > 0 ? (texts / batches).toFixed(1) : '0.0';
+    return `${texts} texts in ${batches} batches (avg ${average} per batch)`;
+  }
+}
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EmbeddingBatcher } from './embedding-batcher.js';
+
+// Records each batch it is given and embeds a text as [its length]
+function recorder() {
+  const embedBatch = async texts => {
+    embedBatch.batches.push(texts);
+    return texts.map(text => [text.length]);
+  };
+  embedBatch.batches = [];
+  return embedBatch;
+}
+
+test('EmbeddingBatcher runs concurrent requests through the model together', async () => {
+  const embedBatch = recorder();
+  const batcher = new EmbeddingBatcher(embedBatch, { batchSize: 3 });
+  const results = await Promise.all(['a', 'bb', 'ccc', 'dddd', 'eeeee'].map(text => batcher.embed(text)));
+
+  assert.deepEqual(results, [[1], [2], [3], [4], [5]]);
+  assert.deepEqual(embedBatch.batches, [['a', 'bb', 'ccc'], ['dddd', 'eeeee']]);
+  assert.equal(batcher.summary(), '5 texts in 2 batches (avg 2.5 per batch)');
+});
+
+test('EmbeddingBatcher picks up requests made while a batch is running', async () => {
+  const embedBatch = recorder();
+  const batcher = new EmbeddingBatcher(embedBatch);
+  const first = batcher.embed('a');
+  await new Promise(resolve => setImmediate(resolve));
+  const second = batcher.embed('bb');
+
+  assert.deepEqual(await Promise.all([first, second]), [[1], [2]]);
+  assert.deepEqual(embedBatch.batches, [['a'], ['bb']]);
+});
+
+test('EmbeddingBatcher rejects only the requests in a failed batch', async () => {
+  const batcher = new EmbeddingBatcher(async texts => {
+    if (texts.includes('bad')) throw new Error('model failed');
+    return texts.map(() => [0]);
+  }, { batchSize: 2 });
+
+  const results = await Promise.allSettled(['ok', 'bad', 'fine'].map(text => batcher.embed(text)));
+  assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected', 'fulfilled']);
+  assert.match(results[0].reason.message, /model failed/);
+});
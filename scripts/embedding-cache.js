@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Content-addressed store for embedding vectors, shared across runs.
+// Keys combine the text with the model id and pooling options, so switching
+// models or pooling never returns stale vectors. Vectors are stored as raw
+// Float32 buffers, which is exactly what the model produces.
+//
+// Nothing is evicted while the pipeline runs; prune() deletes the vectors no
+// lookup since the last reset() asked for.
+export class EmbeddingCache {
+  constructor(cacheDir, { model, pooling, normalize }) {
+    this.cacheDir = cacheDir;
+    this.keyPrefix = JSON.stringify({ model, pooling, normalize });
+    this.memory = new Map();
+    this.used = new Set();
+    this.stats = { hits: 0, misses: 0, shared: 0 };
+  }
+
+  // Start a new run: forget in-memory vectors, used keys and counts
+  reset() {
+    this.memory.clear();
+    this.used.clear();
+    this.stats = { hits: 0, misses: 0, shared: 0 };
+  }
+
+  keyFor(text) {
+    return crypto.createHash('sha256').update(this.keyPrefix).update('\0').update(text).digest('hex');
+  }
+
+  pathFor(key) {
+    return path.join(this.cacheDir, key.slice(0, 2), `${key}.f32`);
+  }
+
+  async read(key) {
+    try {
+      const buffer = await fs.readFile(this.pathFor(key));
+      return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
+    } catch {
+      return null;
+    }
+  }
+
+  async write(key, embedding) {
+    const filePath = this.pathFor(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, Buffer.from(new Float32Array(embedding).buffer));
+  }
+
+  // Return the cached vector for text, computing and storing it on a miss.
+  // Repeated requests for the same text within a run share one lookup or
+  // computation; they are counted as shared rather than as disk hits.
+  getOrCompute(text, compute) {
+    const key = this.keyFor(text);
+    this.used.add(key);
+    if (this.memory.has(key)) {
+      this.stats.shared++;
+      return this.memory.get(key);
+    }
+
+    const pending = (async () => {
+      const cached = await this.read(key);
+      if (cached) {
+        this.stats.hits++;
+        return cached;
+      }
+      this.stats.misses++;
+      const embedding = await compute(text);
+      if (embedding.length > 0) {
+        await this.write(key, embedding);
+      }
+      return embedding;
+    })();
+
+    // Failed computations are not memoised so they can be retried
+    pending.catch(() => this.memory.delete(key));
+    this.memory.set(key, pending);
+    return pending;
+  }
+
+  // Delete every stored vector that was not requested since the last reset,
+  // returning how many were removed
+  async prune() {
+    let removed = 0;
+    const dirs = await fs.readdir(this.cacheDir).catch(() => []);
+    for (const dir of dirs) {
+      const dirPath = path.join(this.cacheDir, dir);
+      const files = await fs.readdir(dirPath).catch(() => []);
+      for (const file of files) {
+        if (file.endsWith('.f32') && !this.used.has(path.basename(file, '.f32'))) {
+          await fs.rm(path.join(dirPath, file), { force: true });
+          removed++;
+        }
+      }
+      // Only succeeds once the directory is empty
+      await fs.rmdir(dirPath).catch(() => {});
+    }
+    return removed;
+  }
+
+  summary() {
+    const { hits, misses, shared } = this.stats;
+    const total = hits + misses;
+    const rate = total > 0 ? ((hits / total) * 100).toFixed(1) : '0.0';
+    return `${hits} hits, ${misses} misses (${rate}% hit rate), ${shared} repeated texts shared`;
+  }
+}
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EmbeddingCache } from './embedding-cache.js';
+
+const options = { model: 'test-model', pooling: 'mean', normalize: true };
+
+async function withCacheDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Counts calls so tests can tell cache hits from computations
+function counter(vector = [0.5, -0.25, 1]) {
+  const compute = async () => {
+    compute.calls++;
+    return vector;
+  };
+  compute.calls = 0;
+  return compute;
+}
+
+test('EmbeddingCache keys depend on the model and pooling as well as the text', () => {
+  const cache = new EmbeddingCache('unused', options);
+  assert.equal(cache.keyFor('hello'), new EmbeddingCache('unused', options).keyFor('hello'));
+  assert.notEqual(cache.keyFor('hello'), cache.keyFor('hello!'));
+  assert.notEqual(cache.keyFor('hello'), new EmbeddingCache('unused', { ...options, model: 'other' }).keyFor('hello'));
+  assert.notEqual(cache.keyFor('hello'), new EmbeddingCache('unused', { ...options, pooling: 'cls' }).keyFor('hello'));
+});
+
+test('EmbeddingCache reuses vectors written by an earlier run', async () => {
+  await withCacheDir(async dir => {
+    const compute = counter();
+    assert.deepEqual(await new EmbeddingCache(dir, options).getOrCompute('hello', compute), [0.5, -0.25, 1]);
+
+    const next = new EmbeddingCache(dir, options);
+    assert.deepEqual(await next.getOrCompute('hello', compute), [0.5, -0.25, 1]);
+    assert.equal(compute.calls, 1);
+    assert.deepEqual(next.stats, { hits: 1, misses: 0, shared: 0 });
+  });
+});
+
+test('EmbeddingCache computes identical concurrent texts once', async () => {
+  await withCacheDir(async dir => {
+    const cache = new EmbeddingCache(dir, options);
+    const compute = counter();
+    const results = await Promise.all(['a', 'a', 'b'].map(text => cache.getOrCompute(text, compute)));
+    assert.equal(compute.calls, 2);
+    assert.equal(results[0], results[1]);
+    assert.deepEqual(cache.stats, { hits: 0, misses: 2, shared: 1 });
+  });
+});
+
+test('EmbeddingCache counts each run separately after a reset', async () => {
+  await withCacheDir(async dir => {
+    const cache = new EmbeddingCache(dir, options);
+    const compute = counter();
+    await cache.getOrCompute('a', compute);
+    await cache.getOrCompute('a', compute);
+
+    cache.reset();
+    await cache.getOrCompute('a', compute);
+    assert.equal(compute.calls, 1);
+    assert.deepEqual(cache.stats, { hits: 1, misses: 0, shared: 0 });
+  });
+});
+
+test('EmbeddingCache prunes vectors not requested since the last reset', async () => {
+  await withCacheDir(async dir => {
+    const cache = new EmbeddingCache(dir, options);
+    await Promise.all(['kept', 'dropped'].map(text => cache.getOrCompute(text, counter())));
+
+    cache.reset();
+    await cache.getOrCompute('kept', counter());
+    assert.equal(await cache.prune(), 1);
+    assert.deepEqual(await cache.read(cache.keyFor('kept')), [0.5, -0.25, 1]);
+    assert.equal(await cache.read(cache.keyFor('dropped')), null);
+    assert.deepEqual(await fs.readdir(dir), [cache.keyFor('kept').slice(0, 2)]);
+  });
+});
+
+test('EmbeddingCache does not store empty vectors or failed computations', async () => {
+  await withCacheDir(async dir => {
+    const cache = new EmbeddingCache(dir, options);
+    await assert.rejects(cache.getOrCompute('a', async () => { throw new Error('model failed'); }), /model failed/);
+    assert.deepEqual(await cache.getOrCompute('a', counter()), [0.5, -0.25, 1]);
+
+    await cache.getOrCompute('b', counter([]));
+    assert.equal(await cache.read(cache.keyFor('b')), null);
+  });
+});
+
+test('EmbeddingCache summarises hits, misses and shared repeats', () => {
+  const cache = new EmbeddingCache('unused', options);
+  assert.equal(cache.summary(), '0 hits, 0 misses (0.0% hit rate), 0 repeated texts shared');
+  cache.stats = { hits: 3, misses: 1, shared: 5 };
+  assert.equal(cache.summary(), '3 hits, 1 misses (75.0% hit rate), 5 repeated texts shared');
+});
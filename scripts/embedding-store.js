@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_QUANTIZATION, bytesPerVector, encode, binaryScoreScale } from './quantization.js';
+
+// Identical vectors get identical keys, whichever array holds them
+const keyOf = vector => crypto.createHash('sha1').update(new Uint8Array(Float32Array.from(vector).buffer)).digest('base64');
+
+// Collects every embedding the build ships and writes them once, packed in
+// `embeddings.bin`, with an offset table in `embeddings.json`:
+//
+//   { format, byteOrder: 'little-endian', dimensions, bytesPerVector, count,
+//     file: 'embeddings.bin', offsets: { [embeddingId]: byteOffset } }
+//
+// `format` is float32, int8 or binary (see quantization.js). int8 tables add
+// `scales`, one per stored vector in file order; binary tables add
+// `scoreScale`, which similarities against the decoded vectors are divided by.
+//
+// The JSON outputs then refer to vectors by `embeddingId` instead of
+// repeating them as text. Identical vectors (from identical texts) are stored
+// once, so several IDs may share one offset.
+
+export class EmbeddingStore {
+  constructor({ quantization = DEFAULT_QUANTIZATION } = {}) {
+    this.format = quantization;
+    this.vectors = [];
+    this.offsets = {};
+    this.idByKey = new Map();
+    this.dimensions = null;
+  }
+
+  // Registers `vector` under `id`; empty vectors are skipped, and an ID that
+  // is already registered for a different vector throws
+  add(id, vector) {
+    if (!vector?.length) return;
+    if (this.dimensions === null) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Embedding ${id} has ${vector.length} dimensions, expected ${this.dimensions}`);
+    }
+
+    const key = keyOf(vector);
+    const known = this.idByKey.has(key);
+    const offset = known
+      ? this.offsets[this.idByKey.get(key)]
+      : this.vectors.length * bytesPerVector(this.format, this.dimensions);
+
+    // Moving an ID to another vector would repoint everything already using it
+    if (id in this.offsets) {
+      if (this.offsets[id] !== offset) {
+        throw new Error(`Embedding ID ${id} is already registered for a different vector`);
+      }
+      return;
+    }
+
+    if (!known) {
+      this.idByKey.set(key, id);
+      this.vectors.push(vector);
+    }
+    this.offsets[id] = offset;
+  }
+
+  // ID a vector (or an identical one) was first registered under, or undefined
+  idOf(vector) {
+    return vector?.length ? this.idByKey.get(keyOf(vector)) : undefined;
+  }
+
+  get byteLength() {
+    return this.vectors.length * bytesPerVector(this.format, this.dimensions || 0);
+  }
+
+  async write(outputDir, name = 'embeddings') {
+    const encoded = this.vectors.map(vector => encode(vector, this.format));
+    const table = {
+      format: this.format,
+      byteOrder: 'little-endian',
+      dimensions: this.dimensions || 0,
+      bytesPerVector: bytesPerVector(this.format, this.dimensions || 0),
+      count: this.vectors.length
+    };
+    if (this.format === 'int8') table.scales = encoded.map(({ scale }) => scale);
+    if (this.format === 'binary') table.scoreScale = binaryScoreScale(this.vectors);
+
+    const file = `${name}.bin`;
+    await fs.writeFile(path.join(outputDir, file), Buffer.concat(encoded.map(({ bytes }) => bytes)));
+    await fs.writeFile(
+      path.join(outputDir, `${name}.json`),
+      JSON.stringify({ ...table, file, offsets: this.offsets })
+    );
+  }
+}
+
+// Register every embedding of the processed interviews under a stable ID:
+// `<interviewId>:<kind>:<key>`, e.g. "int_001:quote:Q003" or
+// "int_001:category:summary". Timeline points and summaries have no IDs of
+// their own and use their position. Validation only warns about duplicate
+// theme, quote and area IDs, so a repeated key gets `@<position>` appended.
+export function registerEmbeddings(interviews, store) {
+  interviews.forEach(interview => {
+    const used = new Set();
+    const id = (kind, key, position) => {
+      const base = `${interview.interviewId}:${kind}:${key ?? position}`;
+      const unique = used.has(base) ? `${base}@${position}` : base;
+      used.add(unique);
+      return unique;
+    };
+    Object.entries(interview.categoryEmbeddings || {}).forEach(([category, vector]) => {
+      store.add(id('category', category), vector);
+    });
+    Object.entries(interview.tagEmbeddings || {}).forEach(([tag, vector]) => {
+      store.add(id('tag', tag), vector);
+    });
+    interview.analysis?.summaries?.forEach((summary, i) => store.add(id('summary', i), summary.embedding));
+    interview.analysis?.themes?.forEach((theme, i) => store.add(id('theme', theme.themeId, i), theme.embedding));
+    interview.analysis?.quotes?.forEach((quote, i) => store.add(id('quote', quote.quoteId, i), quote.embedding));
+    interview.analysis?.timelinePoints?.forEach((point, i) => store.add(id('timeline', i), point.embedding));
+    interview.analysis?.areasForImprovement?.forEach((area, i) => {
+      store.add(id('improvement', area.areaId, i), area.embedding);
+    });
+  });
+}
+
+// JSON.stringify replacer that swaps registered vectors for their IDs:
+// `embedding` fields become `embeddingId`, and the per-interview
+// `categoryEmbeddings` / `tagEmbeddings` maps become `categoryEmbeddingIds` /
+// `tagEmbeddingIds`. Vectors the store does not know stay inline.
+export function embeddingsToIds(store) {
+  const toIds = embeddings => Object.fromEntries(
+    Object.entries(embeddings).map(([key, vector]) => [key, store.idOf(vector) ?? vector])
+  );
+
+  return (key, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    let result = value;
+    if (Array.isArray(value.embedding) && store.idOf(value.embedding) !== undefined) {
+      const { embedding, ...rest } = value;
+      result = { ...rest, embeddingId: store.idOf(embedding) };
+    }
+    if (value.categoryEmbeddings || value.tagEmbeddings) {
+      const { categoryEmbeddings, tagEmbeddings, ...rest } = result;
+      result = rest;
+      if (categoryEmbeddings) result.categoryEmbeddingIds = toIds(categoryEmbeddings);
+      if (tagEmbeddings) result.tagEmbeddingIds = toIds(tagEmbeddings);
+    }
+    return result;
+  };
+}
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EmbeddingStore, registerEmbeddings, embeddingsToIds } from './embedding-store.js';
+
+test('EmbeddingStore stores a shared vector once and points every ID at it', () => {
+  const store = new EmbeddingStore();
+  const shared = [1, 0, 0];
+  store.add('a', shared);
+  store.add('b', [0, 1, 0]);
+  store.add('c', shared);
+  store.add('d', []);
+
+  assert.deepEqual(store.offsets, { a: 0, b: 12, c: 0 });
+  assert.equal(store.idOf(shared), 'a');
+  assert.equal(store.byteLength, 24);
+});
+
+test('EmbeddingStore rejects vectors with a different number of dimensions', () => {
+  const store = new EmbeddingStore();
+  store.add('a', [1, 0, 0]);
+  assert.throws(() => store.add('b', [1, 0]), /Embedding b has 2 dimensions, expected 3/);
+});
+
+test('EmbeddingStore never moves an ID to a different vector', () => {
+  const store = new EmbeddingStore();
+  store.add('a', [1, 0, 0]);
+  store.add('a', [1, 0, 0]);
+  assert.throws(() => store.add('a', [0, 1, 0]), /Embedding ID a is already registered for a different vector/);
+  assert.deepEqual(store.offsets, { a: 0 });
+});
+
+test('registerEmbeddings gives themes sharing an ID separate embeddings', () => {
+  const store = new EmbeddingStore();
+  const first = [1, 0];
+  const second = [0, 1];
+  registerEmbeddings([{
+    interviewId: 'int-1',
+    analysis: {
+      themes: [{ themeId: 't1', embedding: first }, { themeId: 't1', embedding: second }],
+      quotes: [{ embedding: [0.5, 0.5] }]
+    }
+  }], store);
+
+  assert.deepEqual(store.offsets, { 'int-1:theme:t1': 0, 'int-1:theme:t1@1': 8, 'int-1:quote:0': 16 });
+  assert.equal(store.idOf(first), 'int-1:theme:t1');
+  assert.equal(store.idOf(second), 'int-1:theme:t1@1');
+});
+
+test('EmbeddingStore writes little-endian Float32 vectors and an offset table', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-store-'));
+  try {
+    const store = new EmbeddingStore();
+    store.add('a', [0.5, -1]);
+    store.add('b', [2, 0.25]);
+    await store.write(dir);
+
+    const table = JSON.parse(await fs.readFile(path.join(dir, 'embeddings.json'), 'utf8'));
+    assert.equal(table.format, 'float32');
+    assert.equal(table.dimensions, 2);
+    assert.equal(table.count, 2);
+    assert.deepEqual(table.offsets, { a: 0, b: 8 });
+
+    const bytes = await fs.readFile(path.join(dir, table.file));
+    assert.deepEqual([0, 4, 8, 12].map(offset => bytes.readFloatLE(offset)), [0.5, -1, 2, 0.25]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('embeddingsToIds replaces registered vectors with their IDs', () => {
+  const store = new EmbeddingStore();
+  const quote = [1, 0];
+  const category = [0, 1];
+  store.add('quote', quote);
+  store.add('category', category);
+
+  const json = JSON.parse(JSON.stringify({
+    quotes: [{ quoteId: 'q1', embedding: quote }, { quoteId: 'q2', embedding: [0.5, 0.5] }],
+    categoryEmbeddings: { academic: category }
+  }, embeddingsToIds(store)));
+
+  assert.deepEqual(json, {
+    quotes: [{ quoteId: 'q1', embeddingId: 'quote' }, { quoteId: 'q2', embedding: [0.5, 0.5] }],
+    categoryEmbeddingIds: { academic: 'category' }
+  });
+});
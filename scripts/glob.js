@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const GLOB_CHARS = /[*?[{]/;
+
+// Directories that never contain interview data
+const SKIPPED_DIRS = new Set(['node_modules', '.git', '.cache']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\\]]/g, '\\$&');
+}
+
+// Convert a glob pattern (posix separators) to a regular expression.
+// Supports `*`, `?`, `**`, `[abc]`, `[!abc]` and `{a,b}`. As in the shell,
+// wildcards do not match a leading `.` in a name: dotfiles and dot
+// directories only match segments that start with `.` themselves.
+export function globToRegExp(pattern) {
+  let source = '';
+  // Per open brace, whether it starts a segment, so its alternatives do too
+  const braces = [];
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const previous = pattern[i - 1];
+    const segmentStart = i === 0 || previous === '/' ||
+      (braces.length > 0 && (previous === '{' || previous === ',') && braces.at(-1));
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories, a trailing `**` matches anything
+      if (pattern[i + 2] === '/') {
+        source += '(?:(?!\\.)[^/]*/)*';
+        i += 2;
+      } else {
+        source += '(?:(?!\\.)[^/]*/)*(?:(?!\\.)[^/]*)?';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += segmentStart ? '(?!\\.)[^/]*' : '[^/]*';
+    } else if (char === '?') {
+      source += segmentStart ? '[^/.]' : '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braces.push(segmentStart);
+      source += '(?:';
+    } else if (char === '}' && braces.length > 0) {
+      braces.pop();
+      source += ')';
+    } else if (char === ',' && braces.length > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(dir, maxDepth, depth = 0, files = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth < maxDepth && !SKIPPED_DIRS.has(entry.name)) {
+        await walk(fullPath, maxDepth, depth + 1, files);
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// `dir` and the directories below it, down to `maxDepth` levels: the
+// directories expandGlob would walk for a glob based at `dir`
+export async function listDirectories(dir, maxDepth, depth = 0, dirs = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return dirs;
+    throw error;
+  }
+
+  dirs.push(dir);
+  for (const entry of entries) {
+    if (entry.isDirectory() && depth < maxDepth && !SKIPPED_DIRS.has(entry.name)) {
+      await listDirectories(path.join(dir, entry.name), maxDepth, depth + 1, dirs);
+    }
+  }
+  return dirs;
+}
+
+// Split a glob into the deepest directory without wildcards, the remaining
+// pattern, and how many directory levels below the base it can match
+export function globBase(pattern, cwd = process.cwd()) {
+  const segments = path.resolve(cwd, pattern).split(path.sep);
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  if (firstGlob === -1) {
+    return { dir: segments.slice(0, -1).join(path.sep) || path.sep, rest: segments.at(-1), maxDepth: 0 };
+  }
+
+  const rest = segments.slice(firstGlob).join('/');
+  return {
+    dir: segments.slice(0, firstGlob).join(path.sep) || path.sep,
+    rest,
+    maxDepth: rest.includes('**') ? Infinity : segments.length - firstGlob - 1
+  };
+}
+
+// Expand a glob, a directory (all .json files in it) or a single file into a
+// sorted list of absolute file paths. Relative patterns resolve against `cwd`.
+export async function expandGlob(pattern, cwd = process.cwd()) {
+  const absolute = path.resolve(cwd, pattern);
+
+  if (!GLOB_CHARS.test(pattern)) {
+    const stat = await fs.stat(absolute).catch(() => null);
+    if (!stat) return [];
+    if (stat.isFile()) return [absolute];
+    return expandGlob(path.join(absolute, '*.json'), cwd);
+  }
+
+  // Walk from the deepest directory that has no wildcards in it
+  const { dir: baseDir, rest, maxDepth } = globBase(absolute);
+  const matcher = globToRegExp(rest);
+  const files = await walk(baseDir, maxDepth);
+
+  return files
+    .filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')))
+    .sort();
+}
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp } from './glob.js';
+
+const matches = (pattern, file) => globToRegExp(pattern).test(file);
+
+test('wildcards do not match dotfiles', () => {
+  assert.ok(matches('*.json', 'a.json'));
+  assert.ok(!matches('*.json', '.a.json'));
+  assert.ok(!matches('?a.json', '.a.json'));
+  assert.ok(!matches('{*,x}.json', '.a.json'));
+});
+
+test('wildcards do not descend into dot directories', () => {
+  assert.ok(matches('**/*.json', 'a/b/c.json'));
+  assert.ok(matches('**/*.json', 'c.json'));
+  assert.ok(!matches('**/*.json', '.git/c.json'));
+  assert.ok(!matches('**/*.json', 'a/.hidden/c.json'));
+  assert.ok(!matches('*/*.json', '.hidden/c.json'));
+  assert.ok(!matches('a/**', 'a/.b/c.json'));
+  assert.ok(matches('a/**', 'a/b/c.json'));
+});
+
+test('segments starting with a dot match dotfiles', () => {
+  assert.ok(matches('.*.json', '.a.json'));
+  assert.ok(matches('.hidden/*.json', '.hidden/c.json'));
+  assert.ok(matches('**/.hidden/*.json', 'a/.hidden/c.json'));
+});
+
+test('wildcards inside a name still match dots', () => {
+  assert.ok(matches('a*', 'a.b.json'));
+  assert.ok(matches('data/*.v2.json', 'data/x.v2.json'));
+});
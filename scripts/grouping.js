@@ -0,0 +1,149 @@
+// Helpers for merging near-identical items (themes, improvement areas) across
+// interviews. Unlike the topic clusterings, the number of groups is not chosen:
+// items are joined while their average-linkage cosine distance stays below a
+// fixed threshold, so unrelated items always stay apart.
+
+import { cosineDistanceMatrix, createRng, DEFAULT_SEED } from './clustering.js';
+import { agglomerative, cutDendrogramAtDistance } from './clustering-hierarchical.js';
+
+// Average linkage needs the full distance matrix (n² doubles, copied once more
+// while merging) and O(n³) time. Larger inputs are first split by bisecting
+// k-means into blocks of at most this many items, and grouped within each
+// block. Near-identical items almost always share a block, but a pair that
+// straddles a split stays apart.
+export const MAX_BLOCK_SIZE = 2000;
+
+const BISECT_ITERATIONS = 10;
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector.map(() => 0);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function centroid(units, positions) {
+  const sum = new Array(units[positions[0]].length).fill(0);
+  positions.forEach(i => units[i].forEach((value, j) => {
+    sum[j] += value;
+  }));
+  return normalize(sum);
+}
+
+// Two-means on unit vectors, started from a random point and the point least
+// similar to it. Null when every point ends up on one side.
+function bisect(units, positions, rng) {
+  const first = units[positions[Math.floor(rng() * positions.length)]];
+  let second = first;
+  let lowest = Infinity;
+  positions.forEach(i => {
+    const similarity = dot(units[i], first);
+    if (similarity < lowest) {
+      lowest = similarity;
+      second = units[i];
+    }
+  });
+
+  let centres = [first, second];
+  let sides = null;
+  for (let iter = 0; iter < BISECT_ITERATIONS; iter++) {
+    const next = [[], []];
+    positions.forEach(i => next[dot(units[i], centres[1]) > dot(units[i], centres[0]) ? 1 : 0].push(i));
+    if (next[0].length === 0 || next[1].length === 0) return null;
+    if (sides && next[0].length === sides[0].length && next[0].every((i, j) => i === sides[0][j])) break;
+    sides = next;
+    centres = sides.map(side => centroid(units, side));
+  }
+  return sides;
+}
+
+// Blocks of at most `maxSize` positions. Points that cannot be bisected
+// (all pointing the same way) are simply halved.
+function partition(vectors, maxSize, seed) {
+  const all = vectors.map((_, i) => i);
+  if (vectors.length <= maxSize) return [all];
+
+  const rng = createRng(seed);
+  const units = vectors.map(normalize);
+  const blocks = [];
+  const pending = [all];
+  while (pending.length > 0) {
+    const block = pending.pop();
+    if (block.length <= maxSize) {
+      blocks.push(block);
+    } else {
+      const half = Math.ceil(block.length / 2);
+      pending.push(...(bisect(units, block, rng) || [block.slice(0, half), block.slice(half)]));
+    }
+  }
+  return blocks;
+}
+
+// Member with the smallest total distance to the others
+function medoid(positions, distances) {
+  let best = positions[0];
+  let bestTotal = Infinity;
+  positions.forEach(i => {
+    const total = positions.reduce((sum, j) => sum + distances[i][j], 0);
+    if (total < bestTotal) {
+      bestTotal = total;
+      best = i;
+    }
+  });
+  return best;
+}
+
+// Groups of positions into `vectors`, largest first, then by first member.
+// Also returns each group's medoid position, for picking a representative.
+export function groupByDistance(vectors, threshold, { seed = DEFAULT_SEED, maxBlockSize = MAX_BLOCK_SIZE } = {}) {
+  if (vectors.length === 0) return { groups: [], medoids: [] };
+
+  const found = [];
+  partition(vectors, maxBlockSize, seed).forEach(block => {
+    const distances = cosineDistanceMatrix(block.map(i => vectors[i]));
+    const groups = block.length > 1
+      ? cutDendrogramAtDistance(agglomerative(distances), block.length, threshold)
+      : [[0]];
+    groups.forEach(group => {
+      group.sort((a, b) => a - b);
+      found.push({ members: group.map(i => block[i]).sort((a, b) => a - b), medoid: block[medoid(group, distances)] });
+    });
+  });
+
+  found.sort((a, b) => b.members.length - a.members.length || a.members[0] - b.members[0]);
+  return { groups: found.map(group => group.members), medoids: found.map(group => group.medoid) };
+}
+
+// Most common value, ties broken alphabetically
+export function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0]?.[0] ?? null;
+}
+
+export function average(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  return Number((numbers.reduce((sum, value) => sum + value, 0) / numbers.length).toFixed(2));
+}
+
+// Readable IDs derived from names, so they survive rebuilds that reorder the
+// groups. Repeated names get a numeric suffix.
+export function createIdGenerator(fallback) {
+  const used = new Map();
+  return name => {
+    const slug = name
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || fallback;
+    const seen = used.get(slug) || 0;
+    used.set(slug, seen + 1);
+    return seen === 0 ? slug : `${slug}-${seen + 1}`;
+  };
+}
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { groupByDistance } from './grouping.js';
+import { createRng } from './clustering.js';
+
+// `count` points scattered tightly around each of `centres` random directions
+function sample(centres, count, seed) {
+  const rng = createRng(seed);
+  return Array.from({ length: centres }, () => Array.from({ length: 16 }, () => rng() - 0.5))
+    .flatMap(centre => Array.from({ length: count }, () => centre.map(value => value + (rng() - 0.5) * 0.02)));
+}
+
+test('groupByDistance returns nothing for no vectors', () => {
+  assert.deepEqual(groupByDistance([], 0.3), { groups: [], medoids: [] });
+});
+
+test('groupByDistance groups near-identical vectors and picks a member as medoid', () => {
+  const { groups, medoids } = groupByDistance(sample(3, 4, 1), 0.1);
+  assert.deepEqual(groups, [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9, 10, 11]]);
+  medoids.forEach((position, g) => assert.ok(groups[g].includes(position)));
+});
+
+test('groupByDistance splits large inputs into blocks without losing tight groups', () => {
+  const vectors = sample(20, 10, 2);
+  const exact = groupByDistance(vectors, 0.1);
+  const blocked = groupByDistance(vectors, 0.1, { maxBlockSize: 50 });
+  assert.equal(exact.groups.length, 20);
+  assert.deepEqual(blocked.groups, exact.groups);
+});
+
+test('groupByDistance halves blocks of identical vectors that cannot be bisected', () => {
+  const vectors = Array.from({ length: 10 }, () => [1, 2, 3]);
+  const { groups } = groupByDistance(vectors, 0.1, { maxBlockSize: 4 });
+  assert.ok(groups.every(group => group.length <= 4));
+  assert.deepEqual(groups.flat().sort((a, b) => a - b), vectors.map((_, i) => i));
+});
@@ -0,0 +1,145 @@
+// Corpus-wide rollup of `areasForImprovement`: similar areas from different
+// interviews are merged by embedding (see grouping.js), then counted by
+// priority and stakeholder office, with their action items deduplicated.
+
+import { groupByDistance, createIdGenerator } from './grouping.js';
+
+export const DEFAULT_IMPROVEMENT_THRESHOLD = 0.3;
+
+// Known priorities, most urgent first; anything else sorts after them
+const PRIORITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+const normalizePriority = priority => (priority || 'unspecified').trim().toLowerCase();
+
+const priorityRank = priority => {
+  const rank = PRIORITY_ORDER.indexOf(priority);
+  return rank === -1 ? PRIORITY_ORDER.length : rank;
+};
+
+// Same office written differently ("The Financial Aid Office", "financial aid office")
+const stakeholderKey = name => name.trim().toLowerCase().replace(/^the\s+/, '').replace(/\s+/g, ' ');
+
+// Action items that only differ in case, punctuation, articles or word order
+const ACTION_FILLER = new Set(['a', 'an', 'the', 'and', 'to', 'for', 'of', 'on', 'in', 'with']);
+const actionKey = text => [...new Set(
+  text.toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').split(/\s+/).filter(word => word && !ACTION_FILLER.has(word))
+)].sort().join(' ');
+
+// Counts keyed by a normalised form, displayed with the most common spelling
+function tally(values, keyOf) {
+  const byKey = new Map();
+  values.forEach(({ value, interviewId }) => {
+    const key = keyOf(value);
+    if (!key) return;
+    if (!byKey.has(key)) byKey.set(key, { spellings: new Map(), interviews: new Set(), count: 0 });
+    const entry = byKey.get(key);
+    entry.count++;
+    entry.interviews.add(interviewId);
+    entry.spellings.set(value.trim(), (entry.spellings.get(value.trim()) || 0) + 1);
+  });
+  return [...byKey.values()]
+    .map(entry => ({
+      text: [...entry.spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0],
+      count: entry.count,
+      interviewCount: entry.interviews.size
+    }))
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+}
+
+function countPriorities(areas) {
+  const counts = {};
+  areas.forEach(({ priority }) => { counts[priority] = (counts[priority] || 0) + 1; });
+  return Object.fromEntries(
+    Object.entries(counts).sort((a, b) => priorityRank(a[0]) - priorityRank(b[0]) || a[0].localeCompare(b[0]))
+  );
+}
+
+// Builds the report: totals, counts by priority and stakeholder, and the
+// groups of similar areas (largest first) with their action items
+export function buildImprovementReport(interviews, { threshold = DEFAULT_IMPROVEMENT_THRESHOLD, seed } = {}) {
+  const areas = [];
+  interviews.forEach((interview, interviewIndex) => {
+    interview.analysis?.areasForImprovement?.forEach(area => {
+      areas.push({
+        interviewId: interview.interviewId,
+        interviewIndex,
+        area,
+        priority: normalizePriority(area.priority)
+      });
+    });
+  });
+
+  // Areas without an embedding cannot be compared, so each stays on its own
+  const embedded = areas.filter(entry => entry.area.embedding?.length);
+  const { groups, medoids } = groupByDistance(embedded.map(entry => entry.area.embedding), threshold, { seed });
+  const nextId = createIdGenerator('area');
+
+  const groupEntries = [
+    ...groups.map((group, g) => ({ members: group.map(i => embedded[i]), title: embedded[medoids[g]].area.title })),
+    ...areas.filter(entry => !entry.area.embedding?.length).map(entry => ({ members: [entry], title: entry.area.title }))
+  ];
+
+  const stakeholdersOf = members => members.flatMap(({ area, interviewId }) =>
+    (area.stakeholders || []).map(value => ({ value, interviewId }))
+  );
+
+  const improvementGroups = groupEntries.map(({ members, title }) => {
+    const priorities = countPriorities(members);
+    return {
+      id: nextId(title || 'area'),
+      title: title || 'Untitled area',
+      aliases: [...new Set(members.map(m => m.area.title).filter(Boolean))].filter(t => t !== title).sort(),
+      priority: Object.keys(priorities)[0],
+      priorities,
+      areaCount: members.length,
+      interviewCount: new Set(members.map(m => m.interviewIndex)).size,
+      stakeholders: tally(stakeholdersOf(members), stakeholderKey)
+        .map(({ text, count }) => ({ stakeholder: text, count })),
+      actionItems: tally(
+        members.flatMap(({ area, interviewId }) => (area.actionItems || []).map(value => ({ value, interviewId }))),
+        actionKey
+      ),
+      members: members.map(({ interviewId, interviewIndex, area, priority }) => ({
+        interviewId,
+        interviewIndex,
+        areaId: area.areaId,
+        title: area.title,
+        priority
+      }))
+    };
+  });
+
+  // Per stakeholder office: how many areas name it, split by priority
+  const byStakeholder = new Map();
+  areas.forEach(entry => {
+    const seen = new Set();
+    (entry.area.stakeholders || []).forEach(name => {
+      const key = stakeholderKey(name);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      if (!byStakeholder.has(key)) byStakeholder.set(key, { entries: [], names: [] });
+      byStakeholder.get(key).entries.push(entry);
+      byStakeholder.get(key).names.push({ value: name, interviewId: entry.interviewId });
+    });
+  });
+
+  return {
+    threshold,
+    totals: {
+      areas: areas.length,
+      interviews: new Set(areas.map(a => a.interviewIndex)).size,
+      groups: improvementGroups.length,
+      actionItems: improvementGroups.reduce((sum, group) => sum + group.actionItems.length, 0)
+    },
+    byPriority: countPriorities(areas),
+    byStakeholder: [...byStakeholder.values()]
+      .map(({ entries, names }) => ({
+        stakeholder: tally(names, stakeholderKey)[0].text,
+        count: entries.length,
+        interviewCount: new Set(entries.map(e => e.interviewIndex)).size,
+        priorities: countPriorities(entries)
+      }))
+      .sort((a, b) => b.count - a.count || a.stakeholder.localeCompare(b.stakeholder)),
+    groups: improvementGroups
+  };
+}
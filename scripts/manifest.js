@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Bump when the manifest layout changes so stale caches are discarded
+const MANIFEST_VERSION = 1;
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Load the manifest from the build cache, starting fresh if it is missing or outdated
+export async function loadManifest(cacheDir) {
+  try {
+    const content = await fs.readFile(path.join(cacheDir, 'manifest.json'), 'utf-8');
+    const manifest = JSON.parse(content);
+    if (manifest.manifestVersion === MANIFEST_VERSION && manifest.files) {
+      return manifest;
+    }
+    console.log('Build manifest format changed, reprocessing all files');
+  } catch {
+    // First run or unreadable manifest
+  }
+  return { manifestVersion: MANIFEST_VERSION, files: {} };
+}
+
+export async function saveManifest(cacheDir, manifest) {
+  await fs.mkdir(cacheDir, { recursive: true });
+  await fs.writeFile(
+    path.join(cacheDir, 'manifest.json'),
+    JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+// An entry is reusable only if the input, schema and embedding model are all unchanged
+export function isUnchanged(entry, { hash, schemaVersion, model }) {
+  return Boolean(entry) &&
+    entry.hash === hash &&
+    entry.schemaVersion === schemaVersion &&
+    entry.model === model;
+}
+
+// Processed interviews (with embeddings) are stored by content hash
+export async function readCachedInterview(cacheDir, hash) {
+  try {
+    const content = await fs.readFile(path.join(cacheDir, 'interviews', `${hash}.json`), 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCachedInterview(cacheDir, hash, data) {
+  const dir = path.join(cacheDir, 'interviews');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${hash}.json`), JSON.stringify(data));
+}
+
+// Drop entries for files that no longer exist and any cached interviews nothing refers to
+export async function pruneManifest(cacheDir, manifest, currentFiles) {
+  const current = new Set(currentFiles);
+  const removed = Object.keys(manifest.files).filter(file => !current.has(file));
+  removed.forEach(file => delete manifest.files[file]);
+
+  const liveHashes = new Set(Object.values(manifest.files).map(entry => entry.hash));
+  const dir = path.join(cacheDir, 'interviews');
+  let cached = [];
+  try {
+    cached = await fs.readdir(dir);
+  } catch {
+    // Nothing cached yet
+  }
+  for (const file of cached) {
+    if (!liveHashes.has(path.basename(file, '.json'))) {
+      await fs.rm(path.join(dir, file), { force: true });
+    }
+  }
+
+  return removed;
+}
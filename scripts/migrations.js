@@ -0,0 +1,92 @@
+import { schemas, SCHEMA_VERSION } from './schema.js';
+
+// Documents without metadata.version predate versioning
+const DEFAULT_VERSION = '1.0';
+
+// Move a property to a new name unless the new name is already populated
+function renameField(obj, from, to) {
+  if (!obj || !(from in obj)) return;
+  if (obj[to] === undefined) {
+    obj[to] = obj[from];
+  }
+  delete obj[from];
+}
+
+// Each migration upgrades a document by exactly one version, in place.
+// To support a new upstream format, register its schema in schema.js and
+// append a migration from the previous version here.
+const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Add firstGeneration and ethnicity to demographics',
+    migrate(data) {
+      if (!data.demographics || typeof data.demographics !== 'object') return;
+      const demographics = data.demographics;
+
+      // Older prompt versions used abbreviated field names
+      renameField(demographics, 'firstGen', 'firstGeneration');
+      renameField(demographics, 'race', 'ethnicity');
+
+      // First-generation status used to be recorded as free text in "other"
+      if (demographics.firstGeneration === undefined) {
+        demographics.firstGeneration = /first[\s-]?gen/i.test(demographics.other || '') ? true : null;
+      }
+      if (demographics.ethnicity === undefined) {
+        demographics.ethnicity = '';
+      }
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Move undeclared demographic attributes into demographics.custom',
+    migrate(data) {
+      if (!data.demographics || typeof data.demographics !== 'object') return;
+      const demographics = data.demographics;
+      const declared = Object.keys(schemas['1.2'].properties.demographics.properties);
+
+      const undeclared = Object.keys(demographics).filter(key => !declared.includes(key));
+      if (undeclared.length === 0) return;
+
+      demographics.custom = demographics.custom || {};
+      undeclared.forEach(key => {
+        if (demographics.custom[key] === undefined) {
+          demographics.custom[key] = demographics[key];
+        }
+        delete demographics[key];
+      });
+    }
+  }
+];
+
+// Upgrade an interview to the current schema version. Returns the version the
+// document started at and the migrations applied; throws if the version is
+// unknown or there is no migration path to the current version.
+export function migrateInterview(data) {
+  const fromVersion = data.metadata?.version || DEFAULT_VERSION;
+
+  if (!schemas[fromVersion]) {
+    throw new Error(
+      `Unknown schema version '${fromVersion}' (supported: ${Object.keys(schemas).join(', ')})`
+    );
+  }
+
+  const applied = [];
+  let version = fromVersion;
+  while (version !== SCHEMA_VERSION) {
+    const migration = MIGRATIONS.find(m => m.from === version);
+    if (!migration) {
+      throw new Error(`No migration from schema version '${version}' to '${SCHEMA_VERSION}'`);
+    }
+    migration.migrate(data);
+    applied.push(`${migration.from} → ${migration.to}: ${migration.description}`);
+    version = migration.to;
+  }
+
+  if (applied.length > 0 && data.metadata && typeof data.metadata === 'object') {
+    data.metadata.version = SCHEMA_VERSION;
+  }
+
+  return { data, fromVersion, applied };
+}
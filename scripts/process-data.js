@@ -1,138 +1,532 @@
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { pipeline } from '@xenova/transformers';
-import Ajv from 'ajv';
 import lunr from 'lunr';
-import { interviewSchema } from './schema.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { migrateInterview } from './migrations.js';
+import { getDemographicFacets, describeDemographics, summarizeFacets } from './demographics.js';
+import {
+  validateInterview,
+  checkReferences,
+  findDuplicateInterviewIds,
+  mergeValidation,
+  buildValidationReport,
+  SEVERITY
+} from './validation.js';
+import {
+  hashContent,
+  loadManifest,
+  saveManifest,
+  isUnchanged,
+  readCachedInterview,
+  writeCachedInterview,
+  pruneManifest
+} from './manifest.js';
+import { EmbeddingCache } from './embedding-cache.js';
+import { EmbeddingBatcher } from './embedding-batcher.js';
+import { EmbeddingStore, registerEmbeddings, embeddingsToIds } from './embedding-store.js';
+import { QUANTIZATIONS, DEFAULT_QUANTIZATION, MIN_RECALL, measureQuantizationRecall } from './quantization.js';
+import { expandGlob, globBase, listDirectories } from './glob.js';
+import {
+  clusterVectors,
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  DEFAULT_SEED,
+  DEFAULT_RESTARTS,
+  K_METRICS,
+  DEFAULT_K_METRIC
+} from './clustering.js';
+import { labelClusters, labelItemClusters } from './clustering-labels.js';
+import { projectVectors } from './projection.js';
+import { consolidateThemes, DEFAULT_THEME_THRESHOLD } from './theme-taxonomy.js';
+import { buildAnnIndex } from './ann-index.js';
+import { buildImprovementReport, DEFAULT_IMPROVEMENT_THRESHOLD } from './improvement-report.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../examples');
-const OUTPUT_DIR = path.join(__dirname, '../public/data');
+const ROOT_DIR = path.join(__dirname, '..');
+const CACHE_DIR = path.join(ROOT_DIR, '.cache');
+const EMBEDDING_OPTIONS = { pooling: 'mean', normalize: true };
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+const PROCESS_CONCURRENCY = parseInt(process.env.PROCESS_CONCURRENCY) || 4;
 
-// Initialize schema validator
-const ajv = new Ajv();
-const validate = ajv.compile(interviewSchema);
+// Editors often write a file several times in quick succession
+const WATCH_DEBOUNCE_MS = 300;
+
+// Cluster types that can be given their own algorithm with --algorithm <type>=<name>
+const CLUSTER_TYPES = ['summary', 'themes', 'collegeExperience', 'quotes', 'tags', 'quoteTopics', 'themeTopics'];
+
+// Templates and test markers that live next to interview files
+const IGNORED_FILES = new Set(['base.json', '.test-files.json']);
+
+const DEFAULT_OPTIONS = {
+  inputs: [],
+  output: path.join(ROOT_DIR, 'public/data'),
+  k: null,
+  kMetric: DEFAULT_K_METRIC,
+  algorithms: { default: DEFAULT_ALGORITHM },
+  minClusterSize: null,
+  eps: null,
+  themeThreshold: DEFAULT_THEME_THRESHOLD,
+  improvementThreshold: DEFAULT_IMPROVEMENT_THRESHOLD,
+  seed: DEFAULT_SEED,
+  model: 'Xenova/all-MiniLM-L6-v2',
+  quantization: DEFAULT_QUANTIZATION,
+  validateOnly: false,
+  failOnWarning: false,
+  watch: false,
+  verbosity: 1,
+  help: false
+};
+
+const DEFAULT_INPUT = path.join(ROOT_DIR, 'examples', '*.json');
+
+// Accepts "auto" (null), a single k ("4") or an inclusive range ("2-8")
+function parseK(value) {
+  if (String(value).trim() === 'auto') return null;
+  
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+  const min = match ? Number.parseInt(match[1], 10) : NaN;
+  const max = match?.[2] ? Number.parseInt(match[2], 10) : min;
+
+  if (!match || min < 1 || max < min) {
+    throw new Error(`Invalid k '${value}': expected 'auto', a positive number or a range such as 2-8.`);
+  }
+  return { min, max };
+}
+
+// Accepts an algorithm for every type ("hdbscan") or for one type ("quotes=hdbscan")
+function parseAlgorithm(value, algorithms) {
+  const [type, name] = value.includes('=') ? value.split('=') : ['default', value];
+  if (type !== 'default' && !CLUSTER_TYPES.includes(type)) {
+    throw new Error(`Unknown cluster type '${type}': expected one of ${CLUSTER_TYPES.join(', ')}.`);
+  }
+  if (!ALGORITHMS.includes(name)) {
+    throw new Error(`Unknown clustering algorithm '${name}': expected one of ${ALGORITHMS.join(', ')}.`);
+  }
+  algorithms[type] = name;
+}
+
+function parsePositive(value, flag, { integer = false, min = null } = {}) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`Invalid ${flag} '${value}': expected a positive ${integer ? 'integer' : 'number'}.`);
+  }
+  if (min !== null && number < min) {
+    throw new Error(`Invalid ${flag} '${value}': expected at least ${min}.`);
+  }
+  return number;
+}
+
+function parseSeed(value) {
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    throw new Error(`Invalid seed '${value}': expected an integer between 0 and 4294967295.`);
+  }
+  return seed;
+}
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS, inputs: [], algorithms: { ...DEFAULT_OPTIONS.algorithms } };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+
+    const value = () => {
+      if (equals !== -1) return arg.slice(equals + 1);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('-')) {
+        throw new Error(`Missing value for ${flag}.`);
+      }
+      i += 1;
+      return next;
+    };
+
+    switch (flag) {
+      case '-i':
+      case '--input':
+        options.inputs.push(value());
+        break;
+      case '-o':
+      case '--output':
+        options.output = path.resolve(value());
+        break;
+      case '-k':
+      case '--k':
+        options.k = parseK(value());
+        break;
+      case '--k-metric':
+        options.kMetric = value();
+        if (!K_METRICS.includes(options.kMetric)) {
+          throw new Error(`Invalid k metric '${options.kMetric}': expected one of ${K_METRICS.join(', ')}.`);
+        }
+        break;
+      case '-a':
+      case '--algorithm':
+        parseAlgorithm(value(), options.algorithms);
+        break;
+      case '--min-cluster-size':
+        options.minClusterSize = parsePositive(value(), flag, { integer: true, min: 2 });
+        break;
+      case '--eps':
+        options.eps = parsePositive(value(), flag);
+        break;
+      case '--seed':
+        options.seed = parseSeed(value());
+        break;
+      case '--theme-threshold':
+        options.themeThreshold = parsePositive(value(), flag);
+        break;
+      case '--improvement-threshold':
+        options.improvementThreshold = parsePositive(value(), flag);
+        break;
+      case '-m':
+      case '--model':
+        options.model = value();
+        break;
+      case '--quantization':
+        options.quantization = value();
+        if (!QUANTIZATIONS.includes(options.quantization)) {
+          throw new Error(`Invalid quantization '${options.quantization}': expected one of ${QUANTIZATIONS.join(', ')}.`);
+        }
+        break;
+      case '--validate-only':
+      case '--dry-run':
+        options.validateOnly = true;
+        break;
+      case '--fail-on-warning':
+        options.failOnWarning = true;
+        break;
+      case '-w':
+      case '--watch':
+        options.watch = true;
+        break;
+      case '-v':
+      case '--verbose':
+        options.verbosity = 2;
+        break;
+      case '-q':
+      case '--quiet':
+        options.verbosity = 0;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (flag.startsWith('-')) {
+          throw new Error(`Unknown option: ${flag}`);
+        }
+        // Bare arguments are inputs, so unquoted globs expanded by the shell work too
+        options.inputs.push(arg);
+    }
+  }
+
+  if (options.inputs.length === 0) {
+    options.inputs.push(DEFAULT_INPUT);
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node scripts/process-data.js [options] [input...]
+
+Options:
+  -i, --input <glob>        Interview files: a glob, directory or file; repeatable
+                            (default: examples/*.json)
+  -o, --output <dir>        Directory for the generated data files (default: public/data)
+  -k, --k <n|min-max|auto>  Number of clusters, or a range to pick the best k from
+                            (default: auto, 2 to sqrt(n) capped at 12)
+      --k-metric <name>     How to pick k from a range: silhouette, davies-bouldin,
+                            elbow or gap (default: silhouette)
+  -a, --algorithm <[type=]name>
+                            Clustering algorithm for all cluster types, or for one of
+                            summary, themes, collegeExperience, quotes, tags,
+                            quoteTopics or themeTopics; repeatable.
+                            kmeans, agglomerative, dbscan or hdbscan (default: kmeans)
+      --min-cluster-size <n>
+                            Smallest cluster for dbscan/hdbscan, at least 2
+                            (default: 2 to 5 by corpus size)
+      --eps <distance>      Neighbourhood radius for dbscan, as cosine distance
+                            (default: estimated from the data)
+      --seed <n>            Seed for clustering, so builds are reproducible (default: 42)
+      --theme-threshold <distance>
+                            Cosine distance below which themes from different interviews
+                            are merged into one canonical theme (default: ${DEFAULT_THEME_THRESHOLD})
+      --improvement-threshold <distance>
+                            The same for areas for improvement in the improvement report
+                            (default: ${DEFAULT_IMPROVEMENT_THRESHOLD})
+  -m, --model <name>        Embedding model (default: Xenova/all-MiniLM-L6-v2)
+      --quantization <format>
+                            Encoding of embeddings.bin: float32, int8 or binary (1 bit
+                            per dimension); the build reports each one's search recall
+                            (default: ${DEFAULT_QUANTIZATION})
+      --validate-only       Migrate and validate inputs without embedding or writing files
+      --dry-run             Alias for --validate-only
+      --fail-on-warning     Exit with an error if any file has validation warnings
+  -w, --watch               Rebuild whenever an input file changes
+  -v, --verbose             Log every file and all validation details
+  -q, --quiet               Only log errors
+  -h, --help                Show this help message
+
+Files named base.json and .test-files.json are always skipped. The process exits
+with a non-zero status when any file fails, or has warnings with --fail-on-warning.
+
+Examples:
+  node scripts/process-data.js --input "../corpus/**/*.json" --output ./build/data
+  node scripts/process-data.js ../corpus --k 2-8 --fail-on-warning
+  node scripts/process-data.js --algorithm hdbscan --algorithm tags=kmeans
+  npm run process-data -- --validate-only --verbose
+  npm run process-data -- --watch
+`);
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}\nRun with --help for usage.`);
+  process.exit(1);
+}
+
+const OUTPUT_DIR = options.output;
+const MODEL_NAME = options.model;
+
+// Console output filtered by --quiet / --verbose
+const log = {
+  info: (...args) => options.verbosity >= 1 && console.log(...args),
+  detail: (...args) => options.verbosity >= 2 && console.log(...args),
+  warn: (...args) => options.verbosity >= 1 && console.warn(...args),
+  error: (...args) => console.error(...args)
+};
 
 // Embedding model initialization
 let embedder = null;
 
 async function getEmbedder() {
   if (!embedder) {
-    embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
+    embedder = await pipeline('feature-extraction', MODEL_NAME);
   }
   return embedder;
 }
 
+// Embeddings are cached on disk by text, model and pooling options
+const embeddingCache = new EmbeddingCache(
+  path.join(CACHE_DIR, 'embeddings'),
+  { model: MODEL_NAME, ...EMBEDDING_OPTIONS }
+);
+
+// Cache misses are queued and embedded in batches
+const embeddingBatcher = new EmbeddingBatcher(async (texts) => {
+  const model = await getEmbedder();
+  const output = await model(texts, EMBEDDING_OPTIONS);
+  return output.tolist();
+}, { batchSize: EMBEDDING_BATCH_SIZE });
+
 // Generate embeddings for text
 async function generateEmbedding(text) {
   if (!text || text.trim() === '') return [];
   
-  const model = await getEmbedder();
-  const output = await model(text, { pooling: 'mean', normalize: true });
-  return Array.from(output.data);
+  return embeddingCache.getOrCompute(text, t => embeddingBatcher.embed(t));
 }
 
-// Process individual interview file
-async function processInterview(filePath) {
-  console.log(`Processing: ${path.basename(filePath)}`);
+// Run fn over items with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
   
-  const content = await fs.readFile(filePath, 'utf-8');
-  const data = JSON.parse(content);
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
   
-  // Validate schema
-  const valid = validate(data);
-  if (!valid) {
-    console.error(`Schema validation failed for ${filePath}:`, validate.errors);
-    return { success: false, errors: validate.errors, file: filePath };
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Parse, migrate and validate an interview file without generating embeddings
+function validateInterviewFile(filePath, content) {
+  const name = path.basename(filePath);
+  
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    log.error(`Invalid JSON in ${filePath}:`, error.message);
+    const errors = [{ severity: SEVERITY.CRITICAL, path: '/', keyword: 'parse', message: error.message }];
+    return { success: false, validation: { status: SEVERITY.CRITICAL, errors }, file: filePath };
   }
   
-  // Generate embeddings for all text fields
+  // Upgrade older documents to the current schema version before validating
+  let migratedFrom = null;
   try {
-    // Process summaries
-    if (data.analysis?.summaries) {
-      for (const summary of data.analysis.summaries) {
-        if (!summary.embedding || summary.embedding.length === 0) {
-          summary.embedding = await generateEmbedding(summary.summaryText);
-        }
-      }
+    const migration = migrateInterview(parsed);
+    if (migration.applied.length > 0) {
+      migratedFrom = migration.fromVersion;
+      log.detail(`Migrated ${name} from schema ${migratedFrom}:`, migration.applied);
     }
+  } catch (error) {
+    log.error(`Schema migration failed for ${filePath}:`, error.message);
+    const errors = [{ severity: SEVERITY.CRITICAL, path: '/metadata/version', keyword: 'migration', message: error.message }];
+    return { success: false, validation: { status: SEVERITY.CRITICAL, errors }, file: filePath };
+  }
+  
+  // Validate schema; warning-level sections are stripped, critical errors reject the file
+  const { status, errors, data } = validateInterview(parsed);
+  if (status === SEVERITY.CRITICAL) {
+    log.error(`Schema validation failed for ${filePath}:`, errors);
+    return { success: false, validation: { status, errors, migratedFrom }, file: filePath };
+  }
+  
+  // Check links between quotes and themes, dropping references that go nowhere
+  const validation = {
+    ...mergeValidation({ status, errors }, checkReferences(data)),
+    migratedFrom
+  };
+  if (validation.status === SEVERITY.WARNING) {
+    log.warn(`Validation warnings for ${name}: ${validation.errors.length} issue(s)`);
+    log.detail(validation.errors);
+  }
+  
+  return { success: true, data, validation, file: filePath };
+}
+
+// Process individual interview file
+async function processInterview(filePath, content) {
+  log.detail(`Processing: ${path.basename(filePath)}`);
+  
+  const validated = validateInterviewFile(filePath, content);
+  if (!validated.success) return validated;
+  const { data, validation } = validated;
+  
+  // Generate embeddings for all text fields. Every text is requested up
+  // front so the batcher can group them into as few model calls as possible.
+  try {
+    const pending = [];
+    const embedInto = (target, text) => {
+      if (!target.embedding || target.embedding.length === 0) {
+        pending.push(generateEmbedding(text).then(embedding => {
+          target.embedding = embedding;
+        }));
+      }
+    };
+    
+    // Process summaries
+    data.analysis?.summaries?.forEach(summary => {
+      embedInto(summary, summary.summaryText);
+    });
     
     // Process themes
-    if (data.analysis?.themes) {
-      for (const theme of data.analysis.themes) {
-        if (!theme.embedding || theme.embedding.length === 0) {
-          const text = `${theme.title} ${theme.description}`;
-          theme.embedding = await generateEmbedding(text);
-        }
-      }
-    }
+    data.analysis?.themes?.forEach(theme => {
+      embedInto(theme, `${theme.title} ${theme.description}`);
+    });
     
     // Process quotes
-    if (data.analysis?.quotes) {
-      for (const quote of data.analysis.quotes) {
-        if (!quote.embedding || quote.embedding.length === 0) {
-          quote.embedding = await generateEmbedding(quote.quoteText);
-        }
-      }
-    }
+    data.analysis?.quotes?.forEach(quote => {
+      embedInto(quote, quote.quoteText);
+    });
     
     // Process timeline points
-    if (data.analysis?.timelinePoints) {
-      for (const point of data.analysis.timelinePoints) {
-        if (!point.embedding || point.embedding.length === 0) {
-          point.embedding = await generateEmbedding(point.eventDescription);
-        }
-      }
-    }
+    data.analysis?.timelinePoints?.forEach(point => {
+      embedInto(point, point.eventDescription);
+    });
     
     // Process areas for improvement
-    if (data.analysis?.areasForImprovement) {
-      for (const area of data.analysis.areasForImprovement) {
-        if (!area.embedding || area.embedding.length === 0) {
-          const text = `${area.title} ${area.description}`;
-          area.embedding = await generateEmbedding(text);
-        }
-      }
-    }
+    data.analysis?.areasForImprovement?.forEach(area => {
+      embedInto(area, `${area.title} ${area.description}`);
+    });
+    
+    // Generate tag-based embeddings for clustering
+    const quoteTags = [...new Set(data.analysis?.quotes?.flatMap(q => q.tags || []) || [])];
+    const tagTexts = quoteTags.map(tag =>
+      data.analysis?.quotes
+        ?.filter(q => q.tags?.includes(tag))
+        ?.map(q => q.quoteText)
+        .join(' ') || ''
+    );
     
     // Generate category-specific embeddings
-    data.categoryEmbeddings = {
-      summary: await generateEmbedding(
+    const [summary, themes, collegeExperience, quotes, tagEmbeddings] = await Promise.all([
+      generateEmbedding(
         data.analysis?.summaries?.map(s => s.summaryText).join(' ') || ''
       ),
-      themes: await generateEmbedding(
+      generateEmbedding(
         data.analysis?.themes?.map(t => `${t.title} ${t.description}`).join(' ') || ''
       ),
-      collegeExperience: await generateEmbedding(
+      generateEmbedding(
         data.analysis?.summaries
           ?.filter(s => s.category?.toLowerCase().includes('college') || 
                        s.category?.toLowerCase().includes('academic'))
           ?.map(s => s.summaryText).join(' ') || ''
       ),
-      quotes: await generateEmbedding(
+      generateEmbedding(
         data.analysis?.quotes?.map(q => q.quoteText).join(' ') || ''
-      )
-    };
+      ),
+      Promise.all(tagTexts.map(generateEmbedding)),
+      ...pending
+    ]);
+    data.categoryEmbeddings = { summary, themes, collegeExperience, quotes };
     
-    // Generate tag-based embeddings for clustering
-    const quoteTags = [...new Set(data.analysis?.quotes?.flatMap(q => q.tags || []) || [])];
     data.tagEmbeddings = {};
-    for (const tag of quoteTags) {
-      const tagQuotes = data.analysis?.quotes
-        ?.filter(q => q.tags?.includes(tag))
-        ?.map(q => q.quoteText)
-        .join(' ') || '';
-      if (tagQuotes) {
-        data.tagEmbeddings[tag] = await generateEmbedding(tagQuotes);
+    quoteTags.forEach((tag, i) => {
+      if (tagTexts[i]) {
+        data.tagEmbeddings[tag] = tagEmbeddings[i];
       }
-    }
+    });
     
-    return { success: true, data, file: filePath };
+    return { success: true, data, validation, file: filePath };
+  } catch (error) {
+    log.error(`Error processing ${filePath}:`, error);
+    return { success: false, error: error.message, validation, file: filePath };
+  }
+}
+
+// Reuse the cached result for unchanged files, otherwise process and cache the file
+async function processInterviewIncremental(filePath, manifest) {
+  const relativePath = path.relative(ROOT_DIR, filePath);
+  const content = await fs.readFile(filePath, 'utf-8');
+  const fingerprint = {
+    hash: hashContent(content),
+    schemaVersion: SCHEMA_VERSION,
+    model: MODEL_NAME
+  };
+  
+  if (isUnchanged(manifest.files[relativePath], fingerprint)) {
+    const cached = await readCachedInterview(CACHE_DIR, fingerprint.hash);
+    if (cached) {
+      const { validation } = manifest.files[relativePath];
+      return { success: true, data: cached, validation, file: filePath, cached: true };
+    }
+  }
+  
+  let result;
+  try {
+    result = await processInterview(filePath, content);
   } catch (error) {
-    console.error(`Error processing ${filePath}:`, error);
-    return { success: false, error: error.message, file: filePath };
+    log.error(`Error processing ${filePath}:`, error);
+    result = { success: false, error: error.message, file: filePath };
   }
+  
+  if (result.success) {
+    await writeCachedInterview(CACHE_DIR, fingerprint.hash, result.data);
+    manifest.files[relativePath] = {
+      ...fingerprint,
+      validation: result.validation,
+      processedAt: new Date().toISOString()
+    };
+  } else {
+    delete manifest.files[relativePath];
+  }
+  
+  return result;
 }
 
 // Build vector indices for different clustering types
@@ -209,6 +603,55 @@ function buildVectorIndices(interviews) {
   return indices;
 }
 
+// Build corpus-wide indices of single quotes and themes, for clustering them
+// across interviews. Items describe where each vector came from so the app can
+// link back to the interview; vector entries use the item position as index.
+function buildItemIndices(interviews) {
+  const indices = {
+    quotes: { items: [], vectors: [] },
+    themes: { items: [], vectors: [] }
+  };
+  const add = (target, item, embedding) => {
+    if (!embedding?.length) return;
+    target.vectors.push({ id: item.id, index: target.items.length, embedding });
+    target.items.push(item);
+  };
+  
+  interviews.forEach((interview, idx) => {
+    interview.analysis?.quotes?.forEach(quote => {
+      add(indices.quotes, {
+        id: `${interview.interviewId}:${quote.quoteId}`,
+        interviewId: interview.interviewId,
+        interviewIndex: idx,
+        quoteId: quote.quoteId,
+        text: quote.quoteText,
+        tags: quote.tags || []
+      }, quote.embedding);
+    });
+    
+    interview.analysis?.themes?.forEach(theme => {
+      add(indices.themes, {
+        id: `${interview.interviewId}:${theme.themeId}`,
+        interviewId: interview.interviewId,
+        interviewIndex: idx,
+        themeId: theme.themeId,
+        text: `${theme.title}. ${theme.description}`,
+        category: theme.category
+      }, theme.embedding);
+    });
+  });
+  
+  return indices;
+}
+
+// Shortens text to at most `length` characters, at a word boundary where possible
+function truncate(text, length) {
+  if (!text || text.length <= length) return text || '';
+  const cut = text.slice(0, length - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
 // Build search indices with embeddings
 function buildSearchIndex(interviews) {
   const documents = [];
@@ -222,7 +665,8 @@ function buildSearchIndex(interviews) {
       type: 'interview',
       title: interview.intervieweeName || interview.interviewId,
       content: interview.analysis?.summaries?.map(s => s.summaryText).join(' ') || '',
-      demographics: JSON.stringify(interview.demographics || {}),
+      demographics: describeDemographics(interview.demographics),
+      facets: interview.facets,
       date: interview.interviewDate,
       interviewId: interview.interviewId
     });
@@ -232,7 +676,7 @@ function buildSearchIndex(interviews) {
       embeddings.push({
         id: docId,
         embedding: interview.categoryEmbeddings.summary,
-        metadata: { type: 'interview', interviewId: interview.interviewId }
+        metadata: { type: 'interview', interviewId: interview.interviewId, facets: interview.facets }
       });
     }
     
@@ -283,6 +727,63 @@ function buildSearchIndex(interviews) {
         });
       }
     });
+
+    // Add timeline events as documents; they have no IDs, so use their position.
+    // Titles name the interviewee and the start of the event.
+    interview.analysis?.timelinePoints?.forEach((point, pointIndex) => {
+      const timelineDocId = `timeline_${interview.interviewId}_${pointIndex}`;
+      documents.push({
+        id: timelineDocId,
+        type: 'timeline',
+        interviewId: interview.interviewId,
+        title: `${interview.intervieweeName || interview.interviewId}: ${truncate(point.eventDescription, 60) || 'Timeline event'}`,
+        content: point.eventDescription,
+        category: point.category,
+        sentiment: point.sentiment,
+        timeframe: point.timeframeType
+      });
+
+      if (point.embedding?.length) {
+        embeddings.push({
+          id: timelineDocId,
+          embedding: point.embedding,
+          metadata: {
+            type: 'timeline',
+            interviewId: interview.interviewId,
+            pointIndex,
+            timeframe: point.timeframeType
+          }
+        });
+      }
+    });
+
+    // Add areas for improvement as documents, with their action items as content
+    interview.analysis?.areasForImprovement?.forEach((area, areaIndex) => {
+      const improvementDocId = `improvement_${interview.interviewId}_${area.areaId ?? areaIndex}`;
+      documents.push({
+        id: improvementDocId,
+        type: 'improvement',
+        interviewId: interview.interviewId,
+        title: area.title,
+        content: [area.description, ...(area.actionItems || [])].filter(Boolean).join(' '),
+        priority: area.priority,
+        stakeholders: (area.stakeholders || []).join(', ')
+      });
+
+      if (area.embedding?.length) {
+        embeddings.push({
+          id: improvementDocId,
+          embedding: area.embedding,
+          metadata: {
+            type: 'improvement',
+            interviewId: interview.interviewId,
+            areaId: area.areaId,
+            priority: area.priority,
+            stakeholders: area.stakeholders || []
+          }
+        });
+      }
+    });
   });
   
   // Build Lunr index
@@ -294,6 +795,9 @@ function buildSearchIndex(interviews) {
     this.field('category');
     this.field('sentiment');
     this.field('tags');
+    this.field('timeframe');
+    this.field('priority');
+    this.field('stakeholders');
     
     documents.forEach(doc => {
       this.add(doc);
@@ -307,212 +811,358 @@ function buildSearchIndex(interviews) {
   };
 }
 
-// Perform clustering using k-means++
-function performClustering(vectorIndex, k = 3) {
-  if (!vectorIndex || vectorIndex.length === 0) return [];
-  
-  const vectors = vectorIndex.map(item => item.embedding);
-  const actualK = Math.min(k, vectors.length);
-  
-  // K-means++ initialization
-  const centers = [];
-  const usedIndices = new Set();
+// Resolve the input globs to a sorted, de-duplicated list of interview files
+async function findInputFiles(inputs) {
+  const files = new Set();
   
-  // Choose first center randomly
-  const firstIdx = Math.floor(Math.random() * vectors.length);
-  centers.push([...vectors[firstIdx]]);
-  usedIndices.add(firstIdx);
-  
-  // Choose remaining centers
-  for (let i = 1; i < actualK; i++) {
-    const distances = vectors.map((v, idx) => {
-      if (usedIndices.has(idx)) return 0;
-      
-      let minDist = Infinity;
-      centers.forEach(center => {
-        const dist = euclideanDistance(v, center);
-        minDist = Math.min(minDist, dist);
-      });
-      return minDist;
-    });
-    
-    // Choose next center with probability proportional to distance squared
-    const sumDist = distances.reduce((a, b) => a + b * b, 0);
-    let random = Math.random() * sumDist;
-    let chosenIdx = 0;
-    
-    for (let j = 0; j < distances.length; j++) {
-      random -= distances[j] * distances[j];
-      if (random <= 0 && !usedIndices.has(j)) {
-        chosenIdx = j;
-        break;
-      }
+  for (const input of inputs) {
+    const matches = await expandGlob(input);
+    if (matches.length === 0) {
+      log.warn(`No files match ${input}`);
     }
-    
-    centers.push([...vectors[chosenIdx]]);
-    usedIndices.add(chosenIdx);
-  }
-  
-  // Assign points to clusters
-  const clusters = Array(actualK).fill(null).map((_, i) => ({
-    id: `cluster_${i}`,
-    center: centers[i],
-    members: []
-  }));
-  
-  // Run k-means iterations
-  for (let iter = 0; iter < 20; iter++) {
-    // Clear members
-    clusters.forEach(c => c.members = []);
-    
-    // Assign to nearest cluster
-    vectorIndex.forEach((item, idx) => {
-      let minDist = Infinity;
-      let nearestCluster = 0;
-      
-      clusters.forEach((cluster, cIdx) => {
-        const dist = euclideanDistance(item.embedding, cluster.center);
-        if (dist < minDist) {
-          minDist = dist;
-          nearestCluster = cIdx;
-        }
-      });
-      
-      clusters[nearestCluster].members.push(item.index);
-    });
-    
-    // Update centers
-    let changed = false;
-    clusters.forEach(cluster => {
-      if (cluster.members.length === 0) return;
-      
-      const newCenter = Array(cluster.center.length).fill(0);
-      cluster.members.forEach(memberIdx => {
-        const member = vectorIndex.find(v => v.index === memberIdx);
-        if (member) {
-          member.embedding.forEach((val, i) => {
-            newCenter[i] += val;
-          });
-        }
-      });
-      
-      newCenter.forEach((val, i) => {
-        newCenter[i] /= cluster.members.length;
-        if (Math.abs(newCenter[i] - cluster.center[i]) > 0.001) {
-          changed = true;
-        }
-      });
-      
-      cluster.center = newCenter;
-    });
-    
-    if (!changed) break;
+    matches
+      .filter(f => f.endsWith('.json') && !IGNORED_FILES.has(path.basename(f)))
+      .forEach(f => files.add(f));
   }
   
-  // Calculate cluster statistics
-  clusters.forEach(cluster => {
-    cluster.size = cluster.members.length;
-    cluster.cohesion = calculateClusterCohesion(cluster, vectorIndex);
+  return [...files].sort();
+}
+
+// Directory the file paths in the validation report are relative to: the
+// base of the input glob, or the deepest directory shared by all inputs. The
+// report is deployed with the site, so paths never climb out of the inputs.
+async function reportBaseDir(inputs) {
+  const dirs = await Promise.all(inputs.map(async input => (await inputBase(input)).dir));
+  return dirs.reduce((common, dir) => {
+    while (common !== path.dirname(common) && path.relative(common, dir).split(path.sep)[0] === '..') {
+      common = path.dirname(common);
+    }
+    return common;
   });
-  
-  return clusters;
 }
 
-function euclideanDistance(a, b) {
-  if (!a || !b || a.length !== b.length) return Infinity;
-  let sum = 0;
-  for (let i = 0; i < a.length; i++) {
-    sum += (a[i] - b[i]) ** 2;
-  }
-  return Math.sqrt(sum);
+// Interview IDs must be unique across the whole corpus
+function checkDuplicateInterviewIds(results, baseDir) {
+  const duplicateIdErrors = findDuplicateInterviewIds(
+    results
+      .filter(r => r.success)
+      .map(r => ({ file: path.relative(baseDir, r.file), interviewId: r.data.interviewId }))
+  );
+  results.forEach(r => {
+    const errors = duplicateIdErrors.get(path.relative(baseDir, r.file));
+    if (errors) {
+      r.validation = mergeValidation(r.validation, errors);
+      r.success = false;
+    }
+  });
 }
 
-function calculateClusterCohesion(cluster, vectorIndex) {
-  if (cluster.members.length <= 1) return 1;
+function createValidationReport(results, baseDir) {
+  return buildValidationReport(
+    results.map(r => {
+      const entry = {
+        file: path.relative(baseDir, r.file),
+        interviewId: r.data?.interviewId || null,
+        status: r.validation.status,
+        migratedFrom: r.validation.migratedFrom || null,
+        errors: r.validation.errors
+      };
+      // Files that validated but failed during embedding still block the build
+      if (r.error) {
+        entry.status = SEVERITY.CRITICAL;
+        entry.errors = [
+          ...entry.errors,
+          { severity: SEVERITY.CRITICAL, path: '/', keyword: 'processing', message: r.error }
+        ];
+      }
+      return entry;
+    }),
+    SCHEMA_VERSION
+  );
+}
+
+// Stop the build on critical errors, and on warnings with --fail-on-warning
+function enforceValidation(summary, reportLocation) {
+  const { valid, warning, critical } = summary;
+  log.info(`Validation: ${valid} valid, ${warning} with warnings, ${critical} critical`);
   
-  let totalDist = 0;
-  let count = 0;
+  const see = reportLocation ? `, see ${reportLocation}` : '';
+  if (critical > 0) {
+    throw new Error(`${critical} file(s) have critical errors${see}`);
+  }
+  if (options.failOnWarning && warning > 0) {
+    throw new Error(`${warning} file(s) have validation warnings and --fail-on-warning is set${see}`);
+  }
+}
+
+// A build stopped by validation leaves the previous outputs in place, but its
+// counts still go into metadata.json so the app's header agrees with
+// validation-report.json
+async function recordValidationFailure(summary, failedFiles) {
+  const metadataPath = path.join(OUTPUT_DIR, 'metadata.json');
+  const previous = await fs.readFile(metadataPath, 'utf-8').then(JSON.parse).catch(() => ({}));
+  await fs.writeFile(
+    metadataPath,
+    JSON.stringify({
+      ...previous,
+      failedFiles,
+      validation: summary,
+      validationFailedAt: new Date().toISOString()
+    }, null, 2)
+  );
+}
+
+// Check every input against the schema without embedding or writing anything
+async function validateOnly(jsonFiles) {
+  const results = await mapWithConcurrency(
+    jsonFiles,
+    PROCESS_CONCURRENCY,
+    async f => validateInterviewFile(f, await fs.readFile(f, 'utf-8'))
+  );
+  const baseDir = await reportBaseDir(options.inputs);
+  checkDuplicateInterviewIds(results, baseDir);
   
-  cluster.members.forEach(memberIdx => {
-    const member = vectorIndex.find(v => v.index === memberIdx);
-    if (member) {
-      totalDist += euclideanDistance(member.embedding, cluster.center);
-      count++;
-    }
-  });
+  const report = createValidationReport(results, baseDir);
+  report.files
+    .filter(f => f.status !== SEVERITY.VALID)
+    .forEach(f => log.detail(`${f.status.toUpperCase()} ${f.file}`, f.errors));
   
-  return count > 0 ? 1 / (1 + totalDist / count) : 0;
+  enforceValidation(report.summary);
+  log.info('Validation complete, no files were written.');
 }
 
-// Main processing function
-async function main() {
-  console.log('Starting data processing...');
+// Run the pipeline once. With `skipIfUnchanged`, outputs are left alone when
+// every input was reused from the manifest, i.e. nothing changed since the
+// last build; callers only pass it when that build succeeded.
+async function build({ skipIfUnchanged = false } = {}) {
+  const jsonFiles = await findInputFiles(options.inputs);
+  if (jsonFiles.length === 0) {
+    throw new Error(`No interview files found in ${options.inputs.join(', ')}`);
+  }
+  
+  log.info(`Found ${jsonFiles.length} interview files`);
+  
+  if (options.validateOnly) {
+    await validateOnly(jsonFiles);
+    return;
+  }
+  
+  log.info('Starting data processing...');
+  
+  // Counts and prune bookkeeping cover this build only, also in watch mode
+  embeddingCache.reset();
+  embeddingBatcher.resetStats();
   
   // Ensure output directory exists
   await fs.mkdir(OUTPUT_DIR, { recursive: true });
   
-  // Get all JSON files, excluding the test marker file
-  const files = await fs.readdir(DATA_DIR);
-  const jsonFiles = files
-    .filter(f => f.endsWith('.json') && f !== 'base.json' && f !== '.test-files.json')
-    .map(f => path.join(DATA_DIR, f));
+  // Load the build manifest so unchanged files reuse their embeddings
+  const manifest = await loadManifest(CACHE_DIR);
+  const removedFiles = await pruneManifest(
+    CACHE_DIR,
+    manifest,
+    jsonFiles.map(f => path.relative(ROOT_DIR, f))
+  );
+  if (removedFiles.length > 0) {
+    log.info(`Removed ${removedFiles.length} deleted files from the build manifest`);
+  }
+  
+  // Process files through a bounded worker pool
+  const results = await mapWithConcurrency(
+    jsonFiles,
+    PROCESS_CONCURRENCY,
+    f => processInterviewIncremental(f, manifest)
+  );
   
-  console.log(`Found ${jsonFiles.length} interview files`);
+  // Record the processed files before anything can abort the build, so their
+  // cached embeddings are reused next time instead of being pruned
+  await saveManifest(CACHE_DIR, manifest);
   
-  // Process each file
-  const results = await Promise.all(jsonFiles.map(processInterview));
+  const baseDir = await reportBaseDir(options.inputs);
+  checkDuplicateInterviewIds(results, baseDir);
   
   // Separate successful and failed processes
   const successful = results.filter(r => r.success);
   const failed = results.filter(r => !r.success);
+  const reused = successful.filter(r => r.cached);
+  
+  if (skipIfUnchanged && failed.length === 0 && removedFiles.length === 0 && reused.length === results.length) {
+    log.info('No changes since the last build');
+    return;
+  }
   
-  console.log(`Successfully processed: ${successful.length}`);
-  console.log(`Failed: ${failed.length}`);
+  log.info(`Successfully processed: ${successful.length} (${reused.length} unchanged, reused from cache)`);
+  log.info(`Failed: ${failed.length}`);
   
   if (failed.length > 0) {
-    console.error('Failed files:', failed.map(f => path.basename(f.file)));
+    log.error('Failed files:', failed.map(f => path.basename(f.file)));
+  }
+  
+  // Write the validation report before deciding whether the build can continue
+  const validationReport = createValidationReport(results, baseDir);
+  const reportPath = path.join(OUTPUT_DIR, 'validation-report.json');
+  await fs.writeFile(reportPath, JSON.stringify(validationReport, null, 2));
+  
+  try {
+    enforceValidation(validationReport.summary, reportPath);
+  } catch (error) {
+    await recordValidationFailure(validationReport.summary, failed.length);
+    throw error;
   }
   
   // Extract processed data
   const interviews = successful.map(r => r.data);
   
+  // Derive demographic facet values used for filtering in the UI
+  interviews.forEach(interview => {
+    interview.facets = getDemographicFacets(interview.demographics);
+  });
+  
   // Build vector indices
-  console.log('Building vector indices...');
+  log.info('Building vector indices...');
   const vectorIndices = buildVectorIndices(interviews);
   
-  // Perform clustering for each type
-  console.log('Performing clustering...');
+  // Perform clustering for each type. Every clustering starts from the same
+  // seed, so results do not depend on the order they are computed in.
+  log.info(`Performing clustering (seed ${options.seed})...`);
+  const clusteringOptions = {
+    seed: options.seed,
+    restarts: DEFAULT_RESTARTS,
+    metric: options.kMetric,
+    minClusterSize: options.minClusterSize,
+    eps: options.eps
+  };
+  const algorithmFor = type => options.algorithms[type] || options.algorithms.default;
+  const runClustering = (type, vectorIndex, k) => {
+    const result = clusterVectors(vectorIndex, { ...clusteringOptions, algorithm: algorithmFor(type), k });
+    if (result.fallback) {
+      log.warn(`${type}: ${result.fallback.reason}, using kmeans instead`);
+    }
+    return result;
+  };
+  const clusterType = (type, vectorIndex, k = options.k, tag = null) => labelClusters(
+    runClustering(type, vectorIndex, k),
+    interviews,
+    { type, tag }
+  );
+  
   const clusteringResults = {
-    summary: performClustering(vectorIndices.summary),
-    themes: performClustering(vectorIndices.themes),
-    collegeExperience: performClustering(vectorIndices.collegeExperience),
-    quotes: performClustering(vectorIndices.quotes),
+    summary: clusterType('summary', vectorIndices.summary),
+    themes: clusterType('themes', vectorIndices.themes),
+    collegeExperience: clusterType('collegeExperience', vectorIndices.collegeExperience),
+    quotes: clusterType('quotes', vectorIndices.quotes),
     tags: {}
   };
   
-  // Cluster by tags
+  // Cluster by tags. Tag indices are small, so k is always chosen automatically.
   Object.keys(vectorIndices.tags).forEach(tag => {
     if (vectorIndices.tags[tag].length >= 2) {
-      clusteringResults.tags[tag] = performClustering(
-        vectorIndices.tags[tag], 
-        Math.min(2, Math.ceil(vectorIndices.tags[tag].length / 2))
-      );
+      clusteringResults.tags[tag] = clusterType('tags', vectorIndices.tags[tag], null, tag);
     }
   });
   
+  ['summary', 'themes', 'collegeExperience', 'quotes'].forEach(type => {
+    const { algorithm, k, selection, clusters } = clusteringResults[type];
+    log.detail(`  ${type}: ${algorithm}, k = ${k} (${selection?.reason || 'no data'})`);
+    clusters.forEach(cluster => log.detail(`    ${cluster.id} (${cluster.size}): ${cluster.label}`));
+  });
+  
+  // Cluster single quotes and themes across the corpus to find cross-cutting topics
+  log.info('Clustering quotes and themes across interviews...');
+  const itemIndices = buildItemIndices(interviews);
+  const topicType = (type, { items, vectors }, kind) => ({
+    ...labelItemClusters(
+      runClustering(type, vectors, options.k),
+      items,
+      interviews,
+      kind
+    ),
+    items
+  });
+  const topics = {
+    quotes: topicType('quoteTopics', itemIndices.quotes, 'quote'),
+    themes: topicType('themeTopics', itemIndices.themes, 'theme')
+  };
+  Object.entries(topics).forEach(([kind, { algorithm, k, selection, items }]) => {
+    log.detail(`  ${kind}: ${items.length} items, ${algorithm}, k = ${k} (${selection?.reason || 'no data'})`);
+  });
+  
+  // Merge equivalent themes across interviews into canonical themes and tag
+  // every interview theme with its canonical ID
+  log.info('Consolidating themes...');
+  const taxonomy = consolidateThemes(interviews, { threshold: options.themeThreshold, seed: options.seed });
+  interviews.forEach(interview => {
+    interview.analysis?.themes?.forEach(theme => {
+      theme.canonicalThemeId = taxonomy.mapping[`${interview.interviewId}:${theme.themeId}`] || null;
+    });
+  });
+  log.detail(`  ${Object.keys(taxonomy.mapping).length} themes merged into ${taxonomy.themes.length} canonical themes`);
+  
+  // Roll up areas for improvement across interviews
+  log.info('Building improvement report...');
+  const improvementReport = buildImprovementReport(interviews, { threshold: options.improvementThreshold, seed: options.seed });
+  log.detail(`  ${improvementReport.totals.areas} areas merged into ${improvementReport.totals.groups} groups`);
+  
+  // Precompute 2D coordinates for the similarity map, one layout per cluster type
+  log.info('Projecting embeddings to 2D...');
+  const project = vectorIndex => projectVectors(vectorIndex, { seed: options.seed });
+  ['summary', 'themes', 'collegeExperience', 'quotes'].forEach(type => {
+    clusteringResults[type].projection = project(vectorIndices[type]);
+  });
+  Object.entries(clusteringResults.tags).forEach(([tag, result]) => {
+    result.projection = project(vectorIndices.tags[tag]);
+  });
+  topics.quotes.projection = project(itemIndices.quotes.vectors);
+  topics.themes.projection = project(itemIndices.themes.vectors);
+  
   // Build search index
-  console.log('Building search index...');
+  log.info('Building search index...');
   const searchData = buildSearchIndex(interviews);
+
+  // How closely search over each encoding of the embeddings file matches full precision
+  log.info('Measuring quantized search recall...');
+  const quantizationRecall = measureQuantizationRecall(searchData.embeddings.map(e => e.embedding), { seed: options.seed });
+  if (quantizationRecall) {
+    const { k, queries, corpus, formats } = quantizationRecall;
+    log.detail(`  recall@${k} over ${queries} held-out queries against ${corpus} embeddings:`);
+    Object.entries(formats).forEach(([format, { recall, bytesPerVector }]) => {
+      const mark = format === options.quantization ? ' (used)' : '';
+      log.detail(`    ${format.padEnd(8)} ${recall.toFixed(3)}, ${bytesPerVector} bytes per vector${mark}`);
+    });
+    const chosen = formats[options.quantization].recall;
+    if (chosen < MIN_RECALL) {
+      log.warn(`  ${options.quantization} embeddings find only ${(chosen * 100).toFixed(1)}% of the exact top ${k} results`);
+    }
+  } else {
+    log.detail('  too few embeddings to hold out queries');
+  }
+
+  // Partition the search embeddings so the app can probe a few partitions instead of scanning all
+  log.info('Building approximate nearest-neighbour index...');
+  const annIndex = buildAnnIndex(searchData.embeddings.map(e => e.embedding), { seed: options.seed });
+  if (annIndex) {
+    log.detail(`  ${annIndex.centroids.length} partitions, ${annIndex.nprobe} probed per query: ` +
+      `recall@${annIndex.recall.k} ${annIndex.recall.value}, ${(annIndex.scannedFraction * 100).toFixed(1)}% of embeddings scanned`);
+  } else {
+    log.detail(`  ${searchData.embeddings.length} embeddings: exact search is used`);
+  }
   
   // Save processed data
+  // Embeddings are written once, to embeddings.bin; the JSON files refer to them by ID
+  const embeddingStore = new EmbeddingStore({ quantization: options.quantization });
+  registerEmbeddings(interviews, embeddingStore);
+  await embeddingStore.write(OUTPUT_DIR);
+  log.detail(`  ${embeddingStore.vectors.length} embeddings written as ${options.quantization} ` +
+    `(${(embeddingStore.byteLength / 1024 / 1024).toFixed(1)} MB)`);
+
   await fs.writeFile(
     path.join(OUTPUT_DIR, 'interviews.json'),
-    JSON.stringify(interviews, null, 2)
+    JSON.stringify(interviews, embeddingsToIds(embeddingStore), 2)
   );
   
   await fs.writeFile(
     path.join(OUTPUT_DIR, 'vector-indices.json'),
-    JSON.stringify(vectorIndices, null, 2)
+    JSON.stringify(vectorIndices, embeddingsToIds(embeddingStore), 2)
   );
   
   await fs.writeFile(
@@ -520,15 +1170,43 @@ async function main() {
     JSON.stringify(clusteringResults, null, 2)
   );
   
+  await fs.writeFile(
+    path.join(OUTPUT_DIR, 'topics.json'),
+    JSON.stringify(topics, null, 2)
+  );
+  
+  await fs.writeFile(
+    path.join(OUTPUT_DIR, 'theme-taxonomy.json'),
+    JSON.stringify(taxonomy, null, 2)
+  );
+  
+  await fs.writeFile(
+    path.join(OUTPUT_DIR, 'improvement-report.json'),
+    JSON.stringify(improvementReport, null, 2)
+  );
+  
   await fs.writeFile(
     path.join(OUTPUT_DIR, 'search-index.json'),
     JSON.stringify({
+      model: MODEL_NAME,
+      embeddingOptions: EMBEDDING_OPTIONS,
       index: searchData.index.toJSON(),
       documents: searchData.documents,
-      embeddings: searchData.embeddings
+      embeddings: searchData.embeddings.map(({ embedding, ...entry }) => ({
+        ...entry,
+        embeddingId: embeddingStore.idOf(embedding)
+      }))
     }, null, 2)
   );
   
+  // Without an index the app scans exactly; a stale one would point at the wrong embeddings
+  const annIndexPath = path.join(OUTPUT_DIR, 'ann-index.json');
+  if (annIndex) {
+    await fs.writeFile(annIndexPath, JSON.stringify(annIndex));
+  } else {
+    await fs.rm(annIndexPath, { force: true });
+  }
+  
   // Save metadata including deployment timestamp
   await fs.writeFile(
     path.join(OUTPUT_DIR, 'metadata.json'),
@@ -537,14 +1215,177 @@ async function main() {
       deploymentId: process.env.GITHUB_RUN_ID || `local_${Date.now()}`,
       totalInterviews: interviews.length,
       failedFiles: failed.length,
+      validation: validationReport.summary,
       clusterTypes: Object.keys(clusteringResults),
+      clustering: {
+        ...clusteringOptions,
+        algorithms: Object.fromEntries(CLUSTER_TYPES.map(type => [type, algorithmFor(type)])),
+        k: !options.k ? 'auto' : options.k.min === options.k.max ? options.k.min : `${options.k.min}-${options.k.max}`
+      },
       searchDocuments: searchData.documents.length,
-      embeddingDimension: 384,
-      tags: Object.keys(vectorIndices.tags)
+      model: MODEL_NAME,
+      embeddingDimension: searchData.embeddings[0]?.embedding.length || 0,
+      embeddings: {
+        count: embeddingStore.vectors.length,
+        bytes: embeddingStore.byteLength,
+        quantization: options.quantization,
+        recall: quantizationRecall
+      },
+      annIndex: annIndex && { type: annIndex.type, nprobe: annIndex.nprobe, recall: annIndex.recall },
+      canonicalThemes: taxonomy.themes.length,
+      tags: Object.keys(vectorIndices.tags),
+      demographicFacets: summarizeFacets(interviews)
     }, null, 2)
   );
   
-  console.log('Data processing complete!');
+  log.info(`Embedding cache: ${embeddingCache.summary()}`);
+  log.info(`Embedding batches: ${embeddingBatcher.summary()}`);
+  
+  // Only a build that reused no interviews has asked for every vector still
+  // needed, so only then can the rest of the embedding cache go
+  if (reused.length === 0) {
+    const pruned = await embeddingCache.prune();
+    if (pruned > 0) {
+      log.info(`Pruned ${pruned} unused vectors from the embedding cache`);
+    }
+  }
+  log.info('Data processing complete!');
+}
+
+// Directory an --input value covers, and how many levels of subdirectories
+// below it the glob spans
+async function inputBase(input) {
+  const stat = await fs.stat(input).catch(() => null);
+  if (stat?.isDirectory()) {
+    return { dir: path.resolve(input), maxDepth: 0 };
+  }
+  return globBase(input);
+}
+
+// Build once, then rebuild whenever an interview file changes. Unchanged files
+// come from the manifest, so only edited interviews are re-embedded; indices
+// and clusters are rebuilt from the cached data. Runs until interrupted.
+//
+// Every directory is watched on its own: recursive fs.watch is not available
+// on Linux before Node 19.1. Directories created later are picked up when
+// their parent reports them.
+async function watchInputs() {
+  let running = false;
+  let pending = false;
+  let built = false;
+  let timer = null;
+  
+  const targets = await Promise.all(options.inputs.map(inputBase));
+  const dirs = [...new Set(targets.map(t => t.dir))];
+  
+  const run = async () => {
+    running = true;
+    try {
+      await build({ skipIfUnchanged: built });
+      built = true;
+    } catch (error) {
+      // The manifest already has this build's files, so the next build must not skip
+      built = false;
+      log.error(`\n❌ ${error.message}`);
+      log.detail(error.stack);
+    }
+    running = false;
+    
+    if (pending) {
+      pending = false;
+      await run();
+    } else {
+      log.info(`\nWatching ${dirs.join(', ')} for changes (Ctrl+C to stop)...`);
+    }
+  };
+  
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (running) {
+        pending = true;
+      } else {
+        run();
+      }
+    }, WATCH_DEBOUNCE_MS);
+  };
+  
+  const isOutput = file => file === OUTPUT_DIR || file.startsWith(OUTPUT_DIR + path.sep) ||
+    file === CACHE_DIR || file.startsWith(CACHE_DIR + path.sep);
+  const watchers = new Map();
+  let refreshSeq = 0;
+  
+  const onChange = (dir, filename) => {
+    if (!filename) return;
+    // Our own outputs may live below a watched directory
+    const file = path.join(dir, filename);
+    if (isOutput(file)) return;
+    
+    if (!filename.endsWith('.json')) {
+      // Possibly a subdirectory that was added or removed, with interviews in it
+      if (targets.some(t => t.maxDepth > 0)) {
+        refreshWatchers()
+          .then(changed => changed && schedule())
+          .catch(error => log.error(`Cannot watch ${dir}: ${error.message}`));
+      }
+      return;
+    }
+    if (IGNORED_FILES.has(path.basename(filename))) return;
+    
+    log.detail(`Changed: ${path.relative(ROOT_DIR, file)}`);
+    schedule();
+  };
+  
+  // Resolves to whether the set of watched directories changed
+  const refreshWatchers = async () => {
+    const seq = ++refreshSeq;
+    const found = await Promise.all(targets.map(({ dir, maxDepth }) => listDirectories(dir, maxDepth)));
+    // A newer refresh has a more recent listing
+    if (seq !== refreshSeq) return false;
+    
+    const wanted = new Set(found.flat().filter(dir => !isOutput(dir)));
+    let changed = false;
+    watchers.forEach((watcher, dir) => {
+      if (!wanted.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+        changed = true;
+      }
+    });
+    wanted.forEach(dir => {
+      if (watchers.has(dir)) return;
+      changed = true;
+      const watcher = watch(dir, (event, filename) => onChange(dir, filename));
+      // A removed directory stops being watched on the next refresh
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    });
+    return changed;
+  };
+  
+  await refreshWatchers();
+  await run();
+}
+
+// Main processing function
+async function main() {
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  
+  if (options.watch) {
+    await watchInputs();
+  } else {
+    await build();
+  }
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(error => {
+  log.error(`\n❌ ${error.message}`);
+  log.detail(error.stack);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,235 @@
+// 2D projection of embeddings for the similarity map. Vectors are reduced with
+// PCA first (cheap, removes noise dimensions), then laid out with exact t-SNE
+// initialised from the first two principal components, which keeps the global
+// arrangement stable between builds. Larger sets fall back to plain PCA because
+// exact t-SNE is quadratic in the number of points.
+
+import { createRng } from './clustering.js';
+
+const PCA_DIMENSIONS = 30;
+const PCA_ITERATIONS = 100;
+const TSNE_PERPLEXITY = 30;
+const TSNE_ITERATIONS = 500;
+const TSNE_EXAGGERATION = 12;
+const TSNE_EXAGGERATION_ITERATIONS = 100;
+const MAX_TSNE_POINTS = 1000;
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalize(v) {
+  const norm = Math.sqrt(dot(v, v)) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= norm;
+  return v;
+}
+
+// Leading eigenvectors of a symmetric matrix by power iteration with deflation.
+// Signs are fixed so the largest entry is positive, otherwise the layout could
+// mirror between builds.
+function eigenvectors(matrix, count, rng) {
+  const size = matrix.length;
+  const result = [];
+  for (let c = 0; c < count; c++) {
+    let vector = normalize(Float64Array.from({ length: size }, () => rng() - 0.5));
+    let value = 0;
+    for (let iter = 0; iter < PCA_ITERATIONS; iter++) {
+      const next = Float64Array.from(matrix, row => dot(row, vector));
+      result.forEach(previous => {
+        const overlap = dot(next, previous.vector);
+        for (let j = 0; j < size; j++) next[j] -= overlap * previous.vector[j];
+      });
+      value = Math.sqrt(dot(next, next));
+      normalize(next);
+      const converged = Math.abs(Math.abs(dot(next, vector)) - 1) < 1e-8;
+      vector = next;
+      if (converged) break;
+    }
+
+    let largest = 0;
+    vector.forEach((x, j) => { if (Math.abs(x) > Math.abs(vector[largest])) largest = j; });
+    if (vector[largest] < 0) vector = vector.map(x => -x);
+    result.push({ vector, value });
+  }
+  return result;
+}
+
+// Top principal components, returned as projected rows (n × components).
+// Works on whichever of the covariance (d × d) and Gram (n × n) matrices is
+// smaller; both have the same non-zero spectrum.
+export function pca(vectors, components, rng) {
+  const n = vectors.length;
+  const dims = vectors[0].length;
+  const mean = new Float64Array(dims);
+  vectors.forEach(v => v.forEach((x, j) => { mean[j] += x / n; }));
+  const centered = vectors.map(v => Float64Array.from(v, (x, j) => x - mean[j]));
+  const count = Math.min(components, dims, Math.max(1, n - 1));
+
+  if (n < dims) {
+    const gram = centered.map(a => Float64Array.from(centered, b => dot(a, b)));
+    const eigen = eigenvectors(gram, count, rng);
+    return centered.map((_, i) => eigen.map(({ vector, value }) => vector[i] * Math.sqrt(value)));
+  }
+
+  const covariance = Array.from({ length: dims }, () => new Float64Array(dims));
+  centered.forEach(row => {
+    for (let a = 0; a < dims; a++) {
+      for (let b = 0; b < dims; b++) covariance[a][b] += row[a] * row[b];
+    }
+  });
+  const eigen = eigenvectors(covariance, count, rng);
+  return centered.map(row => eigen.map(({ vector }) => dot(row, vector)));
+}
+
+function squaredDistances(rows) {
+  const n = rows.length;
+  const distances = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let sum = 0;
+      for (let d = 0; d < rows[i].length; d++) sum += (rows[i][d] - rows[j][d]) ** 2;
+      distances[i][j] = sum;
+      distances[j][i] = sum;
+    }
+  }
+  return distances;
+}
+
+// Joint probabilities P: per point, binary-search the Gaussian precision that
+// matches the perplexity, then symmetrise
+function affinities(distances, perplexity) {
+  const n = distances.length;
+  const target = Math.log(perplexity);
+  const p = Array.from({ length: n }, () => new Float64Array(n));
+
+  for (let i = 0; i < n; i++) {
+    let beta = 1;
+    let low = -Infinity;
+    let high = Infinity;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const value = Math.exp(-distances[i][j] * beta);
+        p[i][j] = value;
+        sum += value;
+        weighted += distances[i][j] * value;
+      }
+      sum = sum || 1e-12;
+      const entropy = Math.log(sum) + beta * weighted / sum;
+      for (let j = 0; j < n; j++) p[i][j] /= sum;
+
+      const difference = entropy - target;
+      if (Math.abs(difference) < 1e-5) break;
+      if (difference > 0) {
+        low = beta;
+        beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+      } else {
+        high = beta;
+        beta = low === -Infinity ? beta / 2 : (beta + low) / 2;
+      }
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const value = Math.max((p[i][j] + p[j][i]) / (2 * n), 1e-12);
+      p[i][j] = value;
+      p[j][i] = value;
+    }
+  }
+  return p;
+}
+
+// Exact t-SNE (van der Maaten & Hinton) with early exaggeration, momentum and
+// per-coordinate gains
+export function tsne(rows, initial, { perplexity = TSNE_PERPLEXITY, iterations = TSNE_ITERATIONS } = {}) {
+  const n = rows.length;
+  const p = affinities(squaredDistances(rows), Math.min(perplexity, (n - 1) / 3));
+  const y = initial.map(point => Float64Array.from(point));
+  const update = Array.from({ length: n }, () => new Float64Array(2));
+  const gains = Array.from({ length: n }, () => new Float64Array(2).fill(1));
+  const learningRate = Math.max(n / TSNE_EXAGGERATION, 50);
+  const q = Array.from({ length: n }, () => new Float64Array(n));
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const exaggeration = iter < TSNE_EXAGGERATION_ITERATIONS ? TSNE_EXAGGERATION : 1;
+    const momentum = iter < TSNE_EXAGGERATION_ITERATIONS ? 0.5 : 0.8;
+
+    // Student-t similarities in the embedding
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const value = 1 / (1 + (y[i][0] - y[j][0]) ** 2 + (y[i][1] - y[j][1]) ** 2);
+        q[i][j] = value;
+        q[j][i] = value;
+        sum += 2 * value;
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      const gradient = [0, 0];
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const force = (exaggeration * p[i][j] - q[i][j] / sum) * q[i][j];
+        gradient[0] += 4 * force * (y[i][0] - y[j][0]);
+        gradient[1] += 4 * force * (y[i][1] - y[j][1]);
+      }
+      for (let d = 0; d < 2; d++) {
+        gains[i][d] = Math.sign(gradient[d]) === Math.sign(update[i][d])
+          ? Math.max(gains[i][d] * 0.8, 0.01)
+          : gains[i][d] + 0.2;
+        update[i][d] = momentum * update[i][d] - learningRate * gains[i][d] * gradient[d];
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      y[i][0] += update[i][0];
+      y[i][1] += update[i][1];
+    }
+  }
+
+  return y.map(point => Array.from(point));
+}
+
+// Center on the origin and scale into [-1, 1], keeping the aspect ratio
+function fitToUnitSquare(points) {
+  const center = [0, 1].map(d => points.reduce((sum, p) => sum + p[d], 0) / points.length);
+  const extent = Math.max(...points.map(p => Math.max(Math.abs(p[0] - center[0]), Math.abs(p[1] - center[1])))) || 1;
+  return points.map(p => [(p[0] - center[0]) / extent, (p[1] - center[1]) / extent]);
+}
+
+// Project the embeddings of a vector index to 2D. Returns the method used and
+// one { index, x, y } point per item, in the order of the index.
+export function projectVectors(vectorIndex, { seed }) {
+  const n = vectorIndex.length;
+  if (n === 0) return { method: null, points: [] };
+  if (n < 3) {
+    return {
+      method: 'pca',
+      points: vectorIndex.map((item, i) => ({ index: item.index, x: n === 1 ? 0 : i * 2 - 1, y: 0 }))
+    };
+  }
+
+  const rng = createRng(seed);
+  const reduced = pca(vectorIndex.map(item => item.embedding), PCA_DIMENSIONS, rng);
+
+  // Initialise from PC1/PC2 at a small scale, as recommended for t-SNE
+  const spread = Math.sqrt(reduced.reduce((sum, row) => sum + row[0] ** 2, 0) / n) || 1;
+  const initial = reduced.map(row => [row[0] / spread * 1e-4, (row[1] || 0) / spread * 1e-4]);
+
+  const useTsne = n <= MAX_TSNE_POINTS;
+  const layout = useTsne ? tsne(reduced, initial) : reduced.map(row => [row[0], row[1] || 0]);
+
+  return {
+    method: useTsne ? 'pca+tsne' : 'pca',
+    points: fitToUnitSquare(layout).map(([x, y], i) => ({
+      index: vectorIndex[i].index,
+      x: Number(x.toFixed(4)),
+      y: Number(y.toFixed(4))
+    }))
+  };
+}
@@ -0,0 +1,127 @@
+// Compact encodings for the embeddings file (see embedding-store.js):
+//
+//   float32  4 bytes per dimension, as produced by the model
+//   int8     1 byte per dimension, scaled per vector so its largest value is ±127
+//   binary   1 bit per dimension, the sign of each value
+//
+// Search compares a full-precision query with the decoded vectors. To choose
+// an encoding, the build measures recall@k of that search against exact
+// full-precision search on held-out queries.
+
+import { createRng } from './clustering.js';
+
+export const QUANTIZATIONS = ['float32', 'int8', 'binary'];
+export const DEFAULT_QUANTIZATION = 'float32';
+
+export const RECALL_K = 10;
+// The build warns when the chosen encoding's recall is below this
+export const MIN_RECALL = 0.9;
+const RECALL_QUERIES = 200;
+
+export function bytesPerVector(format, dimensions) {
+  if (format === 'int8') return dimensions;
+  if (format === 'binary') return Math.ceil(dimensions / 8);
+  return dimensions * Float32Array.BYTES_PER_ELEMENT;
+}
+
+// Bytes for one vector, plus the int8 scale needed to decode it
+export function encode(vector, format) {
+  const bytes = Buffer.alloc(bytesPerVector(format, vector.length));
+  if (format === 'int8') {
+    const max = vector.reduce((m, value) => Math.max(m, Math.abs(value)), 0);
+    const scale = max > 0 ? max / 127 : 1;
+    vector.forEach((value, i) => bytes.writeInt8(Math.max(-127, Math.min(127, Math.round(value / scale))), i));
+    return { bytes, scale };
+  }
+  if (format === 'binary') {
+    // Most significant bit first
+    vector.forEach((value, i) => {
+      if (value > 0) bytes[i >> 3] |= 0x80 >> (i & 7);
+    });
+    return { bytes, scale: null };
+  }
+  vector.forEach((value, i) => bytes.writeFloatLE(value, i * Float32Array.BYTES_PER_ELEMENT));
+  return { bytes, scale: null };
+}
+
+// The vector the app reconstructs; binary vectors decode to ±1
+export function decode(bytes, format, dimensions, scale) {
+  const vector = new Float32Array(dimensions);
+  for (let i = 0; i < dimensions; i++) {
+    if (format === 'int8') vector[i] = bytes.readInt8(i) * scale;
+    else if (format === 'binary') vector[i] = bytes[i >> 3] & (0x80 >> (i & 7)) ? 1 : -1;
+    else vector[i] = bytes.readFloatLE(i * Float32Array.BYTES_PER_ELEMENT);
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+// A vector's cosine with its own signs is well below 1 (about 0.8 for
+// embedding-like data), and so is every similarity against binary vectors.
+// Dividing by the median of it keeps scores, and the app's minimum score,
+// comparable with full precision.
+export function binaryScoreScale(vectors) {
+  const selfSimilarities = vectors
+    .filter(vector => vector.some(value => value !== 0))
+    .map(vector => cosine(vector, vector.map(value => (value > 0 ? 1 : -1))))
+    .sort((a, b) => a - b);
+  if (selfSimilarities.length === 0) return 1;
+  return Number(selfSimilarities[Math.floor(selfSimilarities.length / 2)].toFixed(4));
+}
+
+function topK(query, corpus, k) {
+  return corpus
+    .map((vector, i) => ({ i, similarity: cosine(query, vector) }))
+    .sort((a, b) => b.similarity - a.similarity || a.i - b.i)
+    .slice(0, k)
+    .map(hit => hit.i);
+}
+
+// Recall@k of every encoding against exact search, on a seeded sample of
+// `vectors` held out of the corpus and used as queries. Returns null when
+// there are too few vectors to hold any out.
+export function measureQuantizationRecall(vectors, { seed, k = RECALL_K, queries = RECALL_QUERIES } = {}) {
+  const usable = vectors.filter(vector => vector?.length);
+  const queryCount = Math.min(queries, Math.floor(usable.length / 5));
+  if (queryCount === 0 || usable.length - queryCount < k) return null;
+
+  const rng = createRng(seed);
+  const order = usable.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const heldOut = order.slice(0, queryCount).map(i => usable[i]);
+  const corpus = order.slice(queryCount).sort((a, b) => a - b).map(i => usable[i]);
+  const dimensions = corpus[0].length;
+  const exact = heldOut.map(query => topK(query, corpus, k));
+
+  const formats = {};
+  QUANTIZATIONS.forEach(format => {
+    const decoded = corpus.map(vector => {
+      const { bytes, scale } = encode(vector, format);
+      return decode(bytes, format, dimensions, scale);
+    });
+    const found = heldOut.reduce((sum, query, q) => {
+      const hits = new Set(topK(query, decoded, k));
+      return sum + exact[q].filter(i => hits.has(i)).length / exact[q].length;
+    }, 0);
+    formats[format] = {
+      recall: Number((found / heldOut.length).toFixed(3)),
+      bytesPerVector: bytesPerVector(format, dimensions)
+    };
+  });
+
+  return { k, queries: queryCount, corpus: corpus.length, formats };
+}
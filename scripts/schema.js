@@ -1,4 +1,9 @@
-export const interviewSchema = {
+// Current schema version. Adding a version means registering its schema
+// below and a migration from the previous version in migrations.js.
+export const SCHEMA_VERSION = '1.2';
+
+// 1.0: original upstream format
+const interviewSchemaV1_0 = {
   type: "object",
   required: ["interviewId", "analysis", "metadata"],
   properties: {
@@ -140,4 +145,51 @@ export const interviewSchema = {
       }
     }
   }
-};
\ No newline at end of file
+};
+
+// 1.1: demographics always carry first-generation status and ethnicity
+const interviewSchemaV1_1 = {
+  ...interviewSchemaV1_0,
+  properties: {
+    ...interviewSchemaV1_0.properties,
+    demographics: {
+      type: "object",
+      required: ["firstGeneration", "ethnicity"],
+      properties: {
+        ...interviewSchemaV1_0.properties.demographics.properties,
+        firstGeneration: { type: "boolean", nullable: true },
+        ethnicity: { type: "string" }
+      }
+    }
+  }
+};
+
+// 1.2: project-specific demographic attributes live under demographics.custom.
+// Values must be scalars so each attribute can be indexed and used as a facet.
+const interviewSchemaV1_2 = {
+  ...interviewSchemaV1_1,
+  properties: {
+    ...interviewSchemaV1_1.properties,
+    demographics: {
+      ...interviewSchemaV1_1.properties.demographics,
+      properties: {
+        ...interviewSchemaV1_1.properties.demographics.properties,
+        custom: {
+          type: "object",
+          additionalProperties: {
+            anyOf: [{ type: "string" }, { type: "number" }, { type: "boolean" }]
+          }
+        }
+      }
+    }
+  }
+};
+
+// Registry of every schema version the pipeline understands
+export const schemas = {
+  '1.0': interviewSchemaV1_0,
+  '1.1': interviewSchemaV1_1,
+  '1.2': interviewSchemaV1_2
+};
+
+export const interviewSchema = schemas[SCHEMA_VERSION];
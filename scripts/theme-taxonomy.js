@@ -0,0 +1,78 @@
+// Consolidates the per-interview themes into a canonical, corpus-wide taxonomy.
+// Every interview gets its own LLM-generated theme titles and IDs, so the same
+// idea shows up under many names. Themes whose embeddings are close enough are
+// grouped (see grouping.js), and each group becomes one canonical theme.
+
+import { groupByDistance, mostCommon, average, createIdGenerator } from './grouping.js';
+
+export const DEFAULT_THEME_THRESHOLD = 0.3;
+
+// Groups equivalent themes and returns { threshold, themes, mapping }.
+// `themes` are the canonical themes, largest first; `mapping` maps
+// "interviewId:themeId" to a canonical theme ID. Themes without an embedding
+// are left out of the taxonomy.
+export function consolidateThemes(interviews, { threshold = DEFAULT_THEME_THRESHOLD, seed } = {}) {
+  const entries = [];
+  interviews.forEach((interview, interviewIndex) => {
+    interview.analysis?.themes?.forEach(theme => {
+      if (theme.embedding?.length) entries.push({ interview, interviewIndex, theme });
+    });
+  });
+  if (entries.length === 0) return { threshold, themes: [], mapping: {} };
+
+  const { groups, medoids } = groupByDistance(entries.map(entry => entry.theme.embedding), threshold, { seed });
+  const nextId = createIdGenerator('theme');
+  const mapping = {};
+  const themes = groups.map((group, g) => {
+    const members = group.map(i => entries[i]);
+    const name = entries[medoids[g]].theme.title;
+    const id = nextId(name);
+
+    // Quotes linked from either side: the theme's relatedQuoteIds or a quote's relatedThemeIds
+    const memberEntries = members.map(({ interview, interviewIndex, theme }) => {
+      mapping[`${interview.interviewId}:${theme.themeId}`] = id;
+      const quoteIds = (interview.analysis?.quotes || [])
+        .filter(quote => theme.relatedQuoteIds?.includes(quote.quoteId) ||
+          quote.relatedThemeIds?.includes(theme.themeId))
+        .map(quote => quote.quoteId);
+      return {
+        interviewId: interview.interviewId,
+        interviewIndex,
+        themeId: theme.themeId,
+        title: theme.title,
+        frequency: theme.frequency ?? null,
+        impactScore: theme.impactScore ?? null,
+        actionable: theme.actionable === true,
+        quoteIds
+      };
+    });
+
+    const quotes = [];
+    const seenQuotes = new Set();
+    memberEntries.forEach(({ interviewId, interviewIndex, quoteIds }) => {
+      quoteIds.forEach(quoteId => {
+        const key = `${interviewId}:${quoteId}`;
+        if (!seenQuotes.has(key)) {
+          seenQuotes.add(key);
+          quotes.push({ interviewId, interviewIndex, quoteId });
+        }
+      });
+    });
+
+    return {
+      id,
+      name,
+      category: mostCommon(members.map(m => m.theme.category).filter(Boolean)),
+      aliases: [...new Set(members.map(m => m.theme.title))].filter(title => title !== name).sort(),
+      themeCount: members.length,
+      interviewCount: new Set(members.map(m => m.interviewIndex)).size,
+      totalFrequency: memberEntries.reduce((sum, m) => sum + (m.frequency || 0), 0),
+      averageImpactScore: average(members.map(m => m.theme.impactScore)),
+      actionableCount: memberEntries.filter(m => m.actionable).length,
+      members: memberEntries,
+      quotes
+    };
+  });
+
+  return { threshold, themes, mapping };
+}
@@ -0,0 +1,309 @@
+import Ajv from 'ajv';
+import { interviewSchema } from './schema.js';
+
+// Validation outcomes, matching the build UI described in the readme:
+//   valid    - no problems
+//   warning  - offending sections are stripped and the interview still renders
+//   critical - the interview cannot be used and the build fails
+export const SEVERITY = {
+  VALID: 'valid',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(interviewSchema);
+
+// Required analysis sections that can be replaced with an empty list
+const ANALYSIS_SECTIONS = ['summaries', 'themes', 'quotes'];
+
+function parsePointer(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// A missing analysis section is replaced with an empty list
+function isMissingAnalysisSection(error) {
+  return error.keyword === 'required' && error.instancePath === '/analysis' &&
+    ANALYSIS_SECTIONS.includes(error.params.missingProperty);
+}
+
+// A problem is a warning only when stripping can get rid of it. Errors at
+// the root or in `interviewId`, `analysis` or `metadata` cannot be stripped,
+// since without these the document cannot be identified or rendered at all.
+function classify(error) {
+  return stripTarget(error) ? SEVERITY.WARNING : SEVERITY.CRITICAL;
+}
+
+function formatError(error, severity) {
+  const missing = error.params?.missingProperty;
+  return {
+    severity,
+    path: missing ? `${error.instancePath}/${missing}` : error.instancePath || '/',
+    schemaPath: error.schemaPath,
+    keyword: error.keyword,
+    message: error.message
+  };
+}
+
+// Schema describing each level of the path, from the root down
+function schemasAlong(segments) {
+  const schemas = [interviewSchema];
+  segments.forEach(segment => {
+    const schema = schemas[schemas.length - 1];
+    schemas.push(/^\d+$/.test(segment)
+      ? schema?.items
+      : schema?.properties?.[segment] ?? schema?.additionalProperties);
+  });
+  return schemas;
+}
+
+// Removing a required property would only trade one error for another, so
+// a required property is nulled when its schema allows null, and otherwise
+// the nearest optional object containing it is removed instead. Returns null
+// when nothing above the property can be removed.
+function removalTarget(segments) {
+  const schemas = schemasAlong(segments);
+  for (let depth = segments.length; depth > 0; depth--) {
+    const target = segments.slice(0, depth);
+    if (!schemas[depth - 1]?.required?.includes(segments[depth - 1])) {
+      return { action: 'remove', segments: target };
+    }
+    if (schemas[depth]?.nullable) {
+      return { action: 'null', segments: target };
+    }
+  }
+  return null;
+}
+
+// Work out which part of the document to remove for an error, or null when
+// it cannot be stripped. Errors inside an array item drop the whole item
+// (e.g. one bad quote); anything else drops the offending property, nulling
+// or dropping the object around required ones as described above (e.g.
+// demographics without ethnicity is dropped). Missing or malformed required
+// analysis sections are replaced with empty arrays instead.
+function stripTarget(error) {
+  const segments = parsePointer(error.instancePath);
+
+  if (isMissingAnalysisSection(error)) {
+    return { action: 'default', segments: ['analysis', error.params.missingProperty] };
+  }
+
+  const arrayIndex = segments.findIndex(segment => /^\d+$/.test(segment));
+  if (arrayIndex >= 0) {
+    return { action: 'remove', segments: segments.slice(0, arrayIndex + 1) };
+  }
+
+  if (segments.length === 2 && segments[0] === 'analysis' &&
+      ANALYSIS_SECTIONS.includes(segments[1])) {
+    return { action: 'default', segments };
+  }
+
+  if (error.keyword === 'required') {
+    return removalTarget([...segments, error.params.missingProperty]);
+  }
+  return removalTarget(segments);
+}
+
+function resolveParent(data, segments) {
+  let parent = data;
+  for (const segment of segments.slice(0, -1)) {
+    if (parent === null || typeof parent !== 'object') return null;
+    parent = parent[segment];
+  }
+  return parent !== null && typeof parent === 'object' ? parent : null;
+}
+
+function applyStrips(data, targets) {
+  const unique = [...new Map(targets.map(t => [t.segments.join('/'), t])).values()];
+
+  // Remove array items from the highest index down so earlier indices stay valid
+  unique.sort((a, b) => {
+    const aLast = Number(a.segments[a.segments.length - 1]);
+    const bLast = Number(b.segments[b.segments.length - 1]);
+    return (Number.isNaN(bLast) ? -1 : bLast) - (Number.isNaN(aLast) ? -1 : aLast);
+  });
+
+  for (const { action, segments } of unique) {
+    const parent = resolveParent(data, segments);
+    if (!parent) continue;
+    const key = segments[segments.length - 1];
+
+    if (action === 'default') {
+      parent[key] = [];
+    } else if (action === 'null') {
+      parent[key] = null;
+    } else if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  }
+}
+
+// Validate an interview and classify every problem by severity. Warning-level
+// problems are stripped from the returned data so it can still be processed.
+export function validateInterview(data) {
+  if (validate(data)) {
+    return { status: SEVERITY.VALID, errors: [], data };
+  }
+
+  const classified = validate.errors.map(error => ({ error, severity: classify(error) }));
+  const errors = classified.map(({ error, severity }) => formatError(error, severity));
+
+  if (classified.some(({ severity }) => severity === SEVERITY.CRITICAL)) {
+    return { status: SEVERITY.CRITICAL, errors, data: null };
+  }
+
+  const sanitized = structuredClone(data);
+  applyStrips(sanitized, classified.map(({ error }) => stripTarget(error)));
+
+  // Stripping must leave a schema-valid document, otherwise treat it as critical
+  if (!validate(sanitized)) {
+    const remaining = validate.errors.map(error => formatError(error, SEVERITY.CRITICAL));
+    return { status: SEVERITY.CRITICAL, errors: [...errors, ...remaining], data: null };
+  }
+
+  return { status: SEVERITY.WARNING, errors, data: sanitized };
+}
+
+const SEVERITY_RANK = {
+  [SEVERITY.VALID]: 0,
+  [SEVERITY.WARNING]: 1,
+  [SEVERITY.CRITICAL]: 2
+};
+
+// Fold additional errors into an existing validation result
+export function mergeValidation(validation, errors) {
+  const status = errors.reduce(
+    (worst, error) => (SEVERITY_RANK[error.severity] > SEVERITY_RANK[worst] ? error.severity : worst),
+    validation.status
+  );
+  return { ...validation, status, errors: [...validation.errors, ...errors] };
+}
+
+function semanticError(severity, path, keyword, message) {
+  return { severity, path, keyword, message };
+}
+
+// Report IDs that appear more than once within one analysis section
+function findDuplicateIds(items, idField, section) {
+  const errors = [];
+  const firstSeen = new Map();
+
+  items.forEach((item, idx) => {
+    const id = item[idField];
+    if (id === undefined) return;
+    if (firstSeen.has(id)) {
+      errors.push(semanticError(
+        SEVERITY.WARNING,
+        `/analysis/${section}/${idx}/${idField}`,
+        'duplicate-id',
+        `${idField} '${id}' is already used at /analysis/${section}/${firstSeen.get(id)}`
+      ));
+    } else {
+      firstSeen.set(id, idx);
+    }
+  });
+
+  return errors;
+}
+
+// Remove references to IDs that do not exist, reporting each one
+function stripDanglingReferences(items, refField, knownIds, section, targetLabel) {
+  const errors = [];
+
+  items.forEach((item, idx) => {
+    if (!Array.isArray(item[refField])) return;
+    const kept = [];
+    item[refField].forEach((ref, refIdx) => {
+      if (knownIds.has(ref)) {
+        kept.push(ref);
+      } else {
+        errors.push(semanticError(
+          SEVERITY.WARNING,
+          `/analysis/${section}/${idx}/${refField}/${refIdx}`,
+          'dangling-reference',
+          `references unknown ${targetLabel} '${ref}' (removed)`
+        ));
+      }
+    });
+    item[refField] = kept;
+  });
+
+  return errors;
+}
+
+// Check the links between quotes and themes within one interview. Dangling
+// references are stripped from data in place so the UI never follows them.
+export function checkReferences(data) {
+  const themes = data.analysis?.themes || [];
+  const quotes = data.analysis?.quotes || [];
+  const themeIds = new Set(themes.map(t => t.themeId).filter(id => id !== undefined));
+  const quoteIds = new Set(quotes.map(q => q.quoteId).filter(id => id !== undefined));
+
+  const errors = [
+    ...findDuplicateIds(themes, 'themeId', 'themes'),
+    ...findDuplicateIds(quotes, 'quoteId', 'quotes'),
+    ...stripDanglingReferences(themes, 'relatedQuoteIds', quoteIds, 'themes', 'quote'),
+    ...stripDanglingReferences(quotes, 'relatedThemeIds', themeIds, 'quotes', 'theme')
+  ];
+
+  // A quote is orphaned when no theme links to it and it links to no theme
+  const referencedQuotes = new Set(themes.flatMap(t => t.relatedQuoteIds || []));
+  quotes.forEach((quote, idx) => {
+    if (!referencedQuotes.has(quote.quoteId) && !(quote.relatedThemeIds?.length > 0)) {
+      errors.push(semanticError(
+        SEVERITY.WARNING,
+        `/analysis/quotes/${idx}`,
+        'orphaned-quote',
+        `quote '${quote.quoteId}' is not linked to any theme`
+      ));
+    }
+  });
+
+  return errors;
+}
+
+// Find interviewIds shared by several files. Each affected file gets a
+// critical error, since the UI and search index key everything on this ID.
+export function findDuplicateInterviewIds(entries) {
+  const filesById = new Map();
+  entries.forEach(({ file, interviewId }) => {
+    if (!filesById.has(interviewId)) filesById.set(interviewId, []);
+    filesById.get(interviewId).push(file);
+  });
+
+  const errorsByFile = new Map();
+  filesById.forEach((files, interviewId) => {
+    if (files.length < 2) return;
+    files.forEach(file => {
+      const others = files.filter(f => f !== file);
+      errorsByFile.set(file, [semanticError(
+        SEVERITY.CRITICAL,
+        '/interviewId',
+        'duplicate-interview-id',
+        `interviewId '${interviewId}' is also used by ${others.join(', ')}`
+      )]);
+    });
+  });
+
+  return errorsByFile;
+}
+
+// Build the machine-readable report written next to metadata.json
+export function buildValidationReport(entries, schemaVersion) {
+  const summary = { valid: 0, warning: 0, critical: 0 };
+  entries.forEach(entry => {
+    summary[entry.status]++;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    schemaVersion,
+    summary,
+    files: entries
+  };
+}
@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SEVERITY, validateInterview, buildValidationReport } from './validation.js';
+
+function interview() {
+  return {
+    interviewId: 'int-1',
+    intervieweeName: 'Sam',
+    analysis: {
+      summaries: [{ category: 'overall', summaryText: 'A summary' }],
+      themes: [{ themeId: 't1', title: 'Belonging', relatedQuoteIds: ['q1'] }],
+      quotes: [
+        { quoteId: 'q1', quoteText: 'I felt at home', relatedThemeIds: ['t1'] },
+        { quoteId: 'q2', quoteText: 'Office hours helped', relatedThemeIds: ['t1'] }
+      ]
+    },
+    metadata: { createdAt: '2024-01-01' }
+  };
+}
+
+test('validateInterview passes a valid interview through unchanged', () => {
+  const data = interview();
+  assert.deepEqual(validateInterview(data), { status: SEVERITY.VALID, errors: [], data });
+});
+
+test('validateInterview rejects interviews missing a required top-level field', () => {
+  const data = interview();
+  delete data.interviewId;
+  const result = validateInterview(data);
+  assert.equal(result.status, SEVERITY.CRITICAL);
+  assert.equal(result.data, null);
+  assert.deepEqual(result.errors.map(error => [error.severity, error.path]), [[SEVERITY.CRITICAL, '/interviewId']]);
+});
+
+test('validateInterview rejects interviews whose analysis is not an object', () => {
+  const data = interview();
+  data.analysis = 'none';
+  assert.equal(validateInterview(data).status, SEVERITY.CRITICAL);
+});
+
+test('validateInterview strips a malformed array item and keeps the rest', () => {
+  const data = interview();
+  data.analysis.quotes[0].quoteText = 42;
+  const result = validateInterview(data);
+
+  assert.equal(result.status, SEVERITY.WARNING);
+  assert.deepEqual(result.errors.map(error => [error.severity, error.path]), [[SEVERITY.WARNING, '/analysis/quotes/0/quoteText']]);
+  assert.deepEqual(result.data.analysis.quotes.map(quote => quote.quoteId), ['q2']);
+  assert.equal(data.analysis.quotes.length, 2, 'the input is left untouched');
+});
+
+test('validateInterview strips a malformed optional property', () => {
+  const data = interview();
+  data.intervieweeName = ['Sam'];
+  const result = validateInterview(data);
+  assert.equal(result.status, SEVERITY.WARNING);
+  assert.equal('intervieweeName' in result.data, false);
+});
+
+test('validateInterview strips an object that lacks one of its required fields', () => {
+  const data = interview();
+  data.demographics = { firstGeneration: true };
+  const result = validateInterview(data);
+
+  assert.equal(result.status, SEVERITY.WARNING);
+  assert.deepEqual(result.errors.map(error => [error.severity, error.path]), [[SEVERITY.WARNING, '/demographics/ethnicity']]);
+  assert.equal('demographics' in result.data, false);
+});
+
+test('validateInterview nulls a malformed or missing required field that may be null', () => {
+  const data = interview();
+  data.demographics = { firstGeneration: 'yes', ethnicity: 'Asian' };
+  const malformed = validateInterview(data);
+
+  assert.equal(malformed.status, SEVERITY.WARNING);
+  assert.deepEqual(malformed.errors.map(error => [error.severity, error.path]), [[SEVERITY.WARNING, '/demographics/firstGeneration']]);
+  assert.deepEqual(malformed.data.demographics, { firstGeneration: null, ethnicity: 'Asian' });
+
+  delete data.demographics.firstGeneration;
+  const missing = validateInterview(data);
+  assert.equal(missing.status, SEVERITY.WARNING);
+  assert.deepEqual(missing.data.demographics, { firstGeneration: null, ethnicity: 'Asian' });
+});
+
+test('validateInterview strips the object around a malformed required field that may not be null', () => {
+  const data = interview();
+  data.demographics = { firstGeneration: true, ethnicity: 7 };
+  const result = validateInterview(data);
+
+  assert.equal(result.status, SEVERITY.WARNING);
+  assert.deepEqual(result.errors.map(error => [error.severity, error.path]), [[SEVERITY.WARNING, '/demographics/ethnicity']]);
+  assert.equal('demographics' in result.data, false);
+});
+
+test('validateInterview replaces missing or malformed analysis sections with empty lists', () => {
+  const data = interview();
+  delete data.analysis.themes;
+  data.analysis.summaries = 'none';
+  const result = validateInterview(data);
+
+  assert.equal(result.status, SEVERITY.WARNING);
+  assert.deepEqual(result.data.analysis.themes, []);
+  assert.deepEqual(result.data.analysis.summaries, []);
+  assert.equal(result.data.analysis.quotes.length, 2);
+});
+
+test('buildValidationReport counts files by status', () => {
+  const entries = [
+    { file: 'a.json', status: SEVERITY.VALID, errors: [] },
+    { file: 'b.json', status: SEVERITY.WARNING, errors: [] },
+    { file: 'c.json', status: SEVERITY.WARNING, errors: [] }
+  ];
+  const report = buildValidationReport(entries, '1.0');
+  assert.equal(report.schemaVersion, '1.0');
+  assert.deepEqual(report.summary, { valid: 1, warning: 2, critical: 0 });
+  assert.equal(report.files, entries);
+});
@@ -1,32 +1,69 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import ClusterVisualization from './components/ClusterVisualization';
 import SearchPanel from './components/SearchPanel';
 import InterviewDetail from './components/InterviewDetail';
 import ProcessingStatus from './components/ProcessingStatus';
 import TagPanel from './components/TagPanel.jsx';
+import DemographicsPanel from './components/DemographicsPanel.jsx';
+import TopicMap from './components/TopicMap.jsx';
+import ThemeExplorer from './components/ThemeExplorer.jsx';
+import ImprovementDashboard from './components/ImprovementDashboard.jsx';
 import './App.css';
 
+// Dev server only: forward the rebuild notification from vite.config.js so the
+// app can refetch its data while `npm run process-data -- --watch` is running
+const DATA_UPDATE_EVENT = 'data:update';
+if (import.meta.hot) {
+  import.meta.hot.on(DATA_UPDATE_EVENT, () => window.dispatchEvent(new Event(DATA_UPDATE_EVENT)));
+}
+
+const VIEWS = [
+  { id: 'interviews', label: 'Interviews' },
+  { id: 'themes', label: 'Themes' },
+  { id: 'improvements', label: 'Improvements' }
+];
+
+// Resolves to null when the file is missing or not JSON
+const fetchOptional = (url) => fetch(url, { cache: 'no-cache' })
+  .then(r => (r.ok ? r.json() : null))
+  .catch(() => null);
+
 function App() {
   const [interviews, setInterviews] = useState([]);
   const [clusters, setClusters] = useState(null);
+  const [topics, setTopics] = useState(null);
+  const [taxonomy, setTaxonomy] = useState(null);
+  const [improvementReport, setImprovementReport] = useState(null);
   const [selectedInterview, setSelectedInterview] = useState(null);
   const [searchResults, setSearchResults] = useState([]);
   const [metadata, setMetadata] = useState(null);
   const [loading, setLoading] = useState(true);
   const [loadError, setLoadError] = useState(null);
   const [selectedTags, setSelectedTags] = useState(new Set());
+  const [selectedFacets, setSelectedFacets] = useState({});
+  const [view, setView] = useState('interviews');
+  const detailRef = useRef(null);
+  const scrollToDetail = useRef(false);
 
-  useEffect(() => {
+  const loadData = useCallback(() => {
     // Load all data with correct base path
     const baseUrl = import.meta.env.BASE_URL;
-    Promise.all([
-      fetch(`${baseUrl}data/interviews.json`).then(r => r.json()),
-      fetch(`${baseUrl}data/clusters.json`).then(r => r.json()),
-      fetch(`${baseUrl}data/metadata.json`).then(r => r.json())
-    ]).then(([interviewData, clusterData, metaData]) => {
+    return Promise.all([
+      fetch(`${baseUrl}data/interviews.json`, { cache: 'no-cache' }).then(r => r.json()),
+      fetch(`${baseUrl}data/clusters.json`, { cache: 'no-cache' }).then(r => r.json()),
+      fetch(`${baseUrl}data/metadata.json`, { cache: 'no-cache' }).then(r => r.json()),
+      // Optional: data generated by older versions of process-data lacks these
+      fetchOptional(`${baseUrl}data/topics.json`),
+      fetchOptional(`${baseUrl}data/theme-taxonomy.json`),
+      fetchOptional(`${baseUrl}data/improvement-report.json`)
+    ]).then(([interviewData, clusterData, metaData, topicData, taxonomyData, reportData]) => {
       setInterviews(interviewData);
       setClusters(clusterData);
+      setTopics(topicData);
+      setTaxonomy(taxonomyData);
+      setImprovementReport(reportData);
       setMetadata(metaData);
+      setLoadError(null);
       setLoading(false);
     }).catch(error => {
       console.error('Error loading data:', error);
@@ -35,6 +72,36 @@ function App() {
     });
   }, []);
 
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Refetch after a watch-mode rebuild
+  useEffect(() => {
+    window.addEventListener(DATA_UPDATE_EVENT, loadData);
+    return () => window.removeEventListener(DATA_UPDATE_EVENT, loadData);
+  }, [loadData]);
+
+  // Open an interview from a long list and bring its detail panel into view
+  const showInterview = useCallback((interview) => {
+    scrollToDetail.current = true;
+    setSelectedInterview(interview);
+  }, []);
+
+  useEffect(() => {
+    if (scrollToDetail.current && selectedInterview) {
+      scrollToDetail.current = false;
+      detailRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [selectedInterview]);
+
+  // Keep the open interview in sync with reloaded data
+  useEffect(() => {
+    setSelectedInterview(current =>
+      current && (interviews.find(i => i.interviewId === current.interviewId) || null)
+    );
+  }, [interviews]);
+
   const handleTagToggle = (tag) => {
     const newTags = new Set(selectedTags);
     if (newTags.has(tag)) {
@@ -49,6 +116,20 @@ function App() {
     setSelectedTags(new Set());
   };
 
+  const handleFacetToggle = (key, value) => {
+    const values = new Set(selectedFacets[key]);
+    if (values.has(value)) {
+      values.delete(value);
+    } else {
+      values.add(value);
+    }
+    setSelectedFacets({ ...selectedFacets, [key]: values });
+  };
+
+  const clearSelectedFacets = () => {
+    setSelectedFacets({});
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen bg-gray-50">
@@ -95,29 +176,96 @@ function App() {
             )}
           </div>
         </div>
+        <nav className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 flex space-x-2">
+          {VIEWS.map(v => (
+            <button
+              key={v.id}
+              onClick={() => setView(v.id)}
+              className={`px-4 py-2 text-sm rounded-t-md ${
+                view === v.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </nav>
       </header>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           <div className="lg:col-span-2">
-            <div className="bg-white rounded-lg shadow p-6">
-              <h2 className="text-xl font-semibold mb-4">
-                Interview Clusters
-                <span className="ml-2 text-sm font-normal text-gray-600">
-                  (Grouped by similarity)
-                </span>
-              </h2>
-              <ClusterVisualization
-                interviews={interviews}
-                clusters={clusters}
-                onSelectInterview={setSelectedInterview}
-                selectedInterview={selectedInterview}
-                selectedTags={selectedTags}
-              />
-            </div>
+            {view === 'interviews' && (
+              <>
+                <div className="bg-white rounded-lg shadow p-6">
+                  <h2 className="text-xl font-semibold mb-4">
+                    Interview Clusters
+                    <span className="ml-2 text-sm font-normal text-gray-600">
+                      (Grouped by similarity)
+                    </span>
+                  </h2>
+                  <ClusterVisualization
+                    interviews={interviews}
+                    clusters={clusters}
+                    onSelectInterview={setSelectedInterview}
+                    selectedInterview={selectedInterview}
+                    selectedTags={selectedTags}
+                    selectedFacets={selectedFacets}
+                  />
+                </div>
+                
+                <div className="mt-8 bg-white rounded-lg shadow p-6">
+                  <h2 className="text-xl font-semibold mb-4">
+                    Topics Across Interviews
+                    <span className="ml-2 text-sm font-normal text-gray-600">
+                      (Individual quotes and themes grouped by similarity)
+                    </span>
+                  </h2>
+                  <TopicMap
+                    topics={topics}
+                    interviews={interviews}
+                    onSelectInterview={setSelectedInterview}
+                    selectedInterview={selectedInterview}
+                  />
+                </div>
+              </>
+            )}
+            
+            {view === 'themes' && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h2 className="text-xl font-semibold mb-4">
+                  Themes Across Interviews
+                  <span className="ml-2 text-sm font-normal text-gray-600">
+                    (Equivalent themes merged into canonical themes)
+                  </span>
+                </h2>
+                <ThemeExplorer
+                  taxonomy={taxonomy}
+                  interviews={interviews}
+                  onSelectInterview={showInterview}
+                />
+              </div>
+            )}
+            
+            {view === 'improvements' && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h2 className="text-xl font-semibold mb-4">
+                  Areas for Improvement
+                  <span className="ml-2 text-sm font-normal text-gray-600">
+                    (Similar areas merged across interviews)
+                  </span>
+                </h2>
+                <ImprovementDashboard
+                  report={improvementReport}
+                  interviews={interviews}
+                  onSelectInterview={showInterview}
+                />
+              </div>
+            )}
             
             {selectedInterview && (
-              <div className="mt-8">
+              <div className="mt-8" ref={detailRef}>
                 <InterviewDetail interview={selectedInterview} />
               </div>
             )}
@@ -129,8 +277,21 @@ function App() {
               onSearchResults={setSearchResults}
               onSelectInterview={setSelectedInterview}
               selectedTags={selectedTags}
+              selectedFacets={selectedFacets}
+              dataVersion={metadata?.processedAt}
             />
             
+            {metadata?.demographicFacets && metadata.demographicFacets.length > 0 && (
+              <div className="mt-8">
+                <DemographicsPanel
+                  facets={metadata.demographicFacets}
+                  selectedFacets={selectedFacets}
+                  onFacetToggle={handleFacetToggle}
+                  onClearAll={clearSelectedFacets}
+                />
+              </div>
+            )}
+            
             {metadata?.tags && metadata.tags.length > 0 && (
               <div className="mt-8">
                 <TagPanel
@@ -0,0 +1,128 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+
+// Curve key and display settings per selection metric
+const METRICS = {
+  silhouette: { key: 'silhouette', label: 'Silhouette score', hint: 'higher is better' },
+  'davies-bouldin': { key: 'daviesBouldin', label: 'Davies–Bouldin index', hint: 'lower is better' },
+  elbow: { key: 'inertia', label: 'Inertia', hint: 'look for the bend' },
+  gap: { key: 'gap', label: 'Gap statistic', hint: 'first k within one standard error of the next' }
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '–' : value.toFixed(3));
+
+// Explains how the number of clusters was chosen: the per-k quality curve
+// from the processing step with the chosen k highlighted
+const ClusterQualityChart = ({ k, selection }) => {
+  const svgRef = useRef(null);
+  const metric = METRICS[selection?.metric] || METRICS.silhouette;
+  const points = (selection?.curve || []).filter(p => p[metric.key] !== null && p[metric.key] !== undefined);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    if (points.length < 2) return;
+
+    const width = 360;
+    const height = 160;
+    const margin = { top: 10, right: 15, bottom: 30, left: 45 };
+
+    svg.attr('width', width).attr('height', height);
+
+    const x = d3.scaleLinear()
+      .domain(d3.extent(points, p => p.k))
+      .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+      .domain(d3.extent(points, p => p[metric.key]))
+      .nice()
+      .range([height - margin.bottom, margin.top]);
+
+    svg.append('g')
+      .attr('transform', `translate(0, ${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(points.length).tickFormat(d3.format('d')));
+    svg.append('g')
+      .attr('transform', `translate(${margin.left}, 0)`)
+      .call(d3.axisLeft(y).ticks(4));
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', height - 2)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '11px')
+      .text('k');
+
+    svg.append('path')
+      .datum(points)
+      .attr('fill', 'none')
+      .attr('stroke', '#2563eb')
+      .attr('stroke-width', 2)
+      .attr('d', d3.line().x(p => x(p.k)).y(p => y(p[metric.key])));
+
+    svg.selectAll('.point')
+      .data(points)
+      .enter().append('circle')
+      .attr('class', 'point')
+      .attr('cx', p => x(p.k))
+      .attr('cy', p => y(p[metric.key]))
+      .attr('r', p => (p.k === k ? 6 : 3))
+      .attr('fill', p => (p.k === k ? '#f59e0b' : '#2563eb'))
+      .append('title')
+      .text(p => `k = ${p.k}: ${formatValue(p[metric.key])}`);
+  }, [k, selection]);
+
+  if (!selection) {
+    return <p className="text-sm text-gray-500">No clustering data for this view.</p>;
+  }
+
+  return (
+    <div className="text-sm">
+      <p className="text-gray-700">
+        <span className="font-medium">k = {k}</span>: {selection.reason}
+        {selection.metric && selection.range && (
+          <span className="text-gray-500">
+            {' '}(tried k = {selection.range[0]}–{selection.range[1]})
+          </span>
+        )}
+      </p>
+
+      {points.length >= 2 && (
+        <div className="mt-2">
+          <div className="text-xs text-gray-500">
+            {metric.label} ({metric.hint})
+          </div>
+          <svg ref={svgRef}></svg>
+        </div>
+      )}
+
+      {selection.curve.length > 0 && (
+        <table className="mt-2 text-xs text-gray-700">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="pr-4 text-left font-medium">k</th>
+              <th className="pr-4 text-right font-medium">Silhouette</th>
+              <th className="pr-4 text-right font-medium">Davies–Bouldin</th>
+              <th className="pr-4 text-right font-medium">Inertia</th>
+              {selection.curve.some(p => p.gap !== undefined) && (
+                <th className="text-right font-medium">Gap</th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {selection.curve.map(p => (
+              <tr key={p.k} className={p.k === k ? 'bg-amber-50 font-semibold' : ''}>
+                <td className="pr-4">{p.k}</td>
+                <td className="pr-4 text-right">{formatValue(p.silhouette)}</td>
+                <td className="pr-4 text-right">{formatValue(p.daviesBouldin)}</td>
+                <td className="pr-4 text-right">{formatValue(p.inertia)}</td>
+                {p.gap !== undefined && (
+                  <td className="text-right">{formatValue(p.gap)} ± {formatValue(p.gapError)}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ClusterQualityChart;
@@ -1,16 +1,30 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useMemo } from 'react';
 import * as d3 from 'd3';
+import { hasFacetSelection, matchesFacets } from '../utils/facets';
+import ClusterQualityChart from './ClusterQualityChart';
+import Dendrogram from './Dendrogram';
+
+// Generated label when the processing step provided one, otherwise the number
+const clusterName = (cluster, i) => cluster.label || `Cluster ${i + 1}`;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
 
 const ClusterVisualization = ({ 
   interviews, 
   clusters, 
   onSelectInterview, 
   selectedInterview,
-  selectedTags 
+  selectedTags,
+  selectedFacets
 }) => {
   const svgRef = useRef(null);
+  const zoomKeyRef = useRef(null);
   const [clusterType, setClusterType] = useState('summary');
-  const [currentClusters, setCurrentClusters] = useState(clusters?.summary || []);
+  const [currentClusters, setCurrentClusters] = useState(clusters?.summary?.clusters || []);
+  const [currentResult, setCurrentResult] = useState(clusters?.summary || null);
+  const [showSelection, setShowSelection] = useState(false);
+  const [showDendrogram, setShowDendrogram] = useState(false);
+  const [layout, setLayout] = useState('clusters');
   const [availableTags, setAvailableTags] = useState([]);
 
   useEffect(() => {
@@ -20,14 +34,23 @@ const ClusterVisualization = ({
   }, [clusters]);
 
   useEffect(() => {
-    if (clusterType.startsWith('tag:')) {
-      const tag = clusterType.replace('tag:', '');
-      setCurrentClusters(clusters?.tags?.[tag] || []);
-    } else {
-      setCurrentClusters(clusters?.[clusterType] || []);
-    }
+    // Each cluster type holds the chosen k, how it was chosen and the clusters
+    const result = clusterType.startsWith('tag:')
+      ? clusters?.tags?.[clusterType.replace('tag:', '')]
+      : clusters?.[clusterType];
+    setCurrentResult(result || null);
+    setCurrentClusters(result?.clusters || []);
   }, [clusterType, clusters]);
 
+  // Interviews the clustering algorithm reported as fitting no cluster
+  const noise = useMemo(() => new Set(currentResult?.noise || []), [currentResult]);
+
+  // Automatic k selection can pick up to 12 clusters
+  const color = useMemo(
+    () => d3.scaleOrdinal(currentClusters.length > 10 ? d3.schemePaired : d3.schemeCategory10),
+    [currentClusters]
+  );
+
   const interviewHasSelectedTags = (interview) => {
     if (!selectedTags || selectedTags.size === 0) return false;
     
@@ -44,6 +67,14 @@ const ClusterVisualization = ({
     const svg = d3.select(svgRef.current);
     
     svg.selectAll('*').remove();
+    svg.on('.zoom', null);
+    
+    // The similarity map places interviews by their precomputed 2D projection
+    const projection = layout === 'map' ? currentResult?.projection : null;
+    const mapLayout = projection?.points?.length > 0;
+    const nodeRadius = d => mapLayout
+      ? (d.cluster === -1 ? 6 : 9)
+      : (d.cluster === -1 ? 15 : 25);
     
     const g = svg
       .attr('width', width)
@@ -110,18 +141,38 @@ const ClusterVisualization = ({
       return positions;
     };
     
-    const positions = calculateNodePositions();
+    // Projection coordinates are in [-1, 1]; one scale for both axes keeps
+    // on-screen distance proportional to distance in the projection
+    const calculateMapPositions = () => {
+      const projected = new Map(projection.points.map(p => [p.index, p]));
+      const plotWidth = width - 200;
+      const scale = Math.min(plotWidth - margin, height - 2 * margin) / 2;
+      const cx = (margin + plotWidth) / 2;
+      const cy = height / 2;
+      
+      return interviews.map((interview, idx) => {
+        const point = projected.get(idx);
+        return {
+          x: point ? cx + scale * point.x : null,
+          y: point ? cy - scale * point.y : null,
+          cluster: currentClusters.findIndex(c => c.members.includes(idx))
+        };
+      });
+    };
+    
+    const positions = mapLayout ? calculateMapPositions() : calculateNodePositions();
+    const facetFilterActive = hasFacetSelection(selectedFacets);
     
     const nodes = interviews.map((interview, idx) => ({
       id: interview.interviewId,
+      index: idx,
       data: interview,
       cluster: positions[idx].cluster,
       x: positions[idx].x,
       y: positions[idx].y,
-      hasSelectedTags: interviewHasSelectedTags(interview)
-    }));
-    
-    const color = d3.scaleOrdinal(d3.schemeCategory10);
+      hasSelectedTags: interviewHasSelectedTags(interview),
+      matchesFacets: !facetFilterActive || matchesFacets(interview, selectedFacets)
+    })).filter(d => d.x !== null);
     
     // Legend
     const legend = g.append('g')
@@ -140,19 +191,38 @@ const ClusterVisualization = ({
         .attr('x', 15)
         .attr('y', 5)
         .style('font-size', '12px')
-        .text(`Cluster ${i + 1} (${cluster.members.length})`);
+        .text(`${truncate(clusterName(cluster, i), 16)} (${cluster.members.length})`);
+      
+      legendItem.append('title')
+        .text([clusterName(cluster, i), cluster.description].filter(Boolean).join('\n'));
     });
     
+    if (noise.size > 0) {
+      const noiseItem = legend.append('g')
+        .attr('transform', `translate(0, ${currentClusters.length * 25})`);
+      
+      noiseItem.append('circle')
+        .attr('r', 8)
+        .attr('fill', '#999');
+      
+      noiseItem.append('text')
+        .attr('x', 15)
+        .attr('y', 5)
+        .style('font-size', '12px')
+        .text(`Outliers (${noise.size})`);
+    }
+    
     // Create node groups
     const node = g.selectAll('.node')
       .data(nodes)
       .enter().append('g')
       .attr('class', 'node')
-      .attr('transform', d => `translate(${d.x},${d.y})`);
+      .attr('transform', d => `translate(${d.x},${d.y})`)
+      .style('opacity', d => d.matchesFacets ? 1 : 0.15);
     
     // Add circles
     node.append('circle')
-      .attr('r', d => d.cluster === -1 ? 15 : 25)
+      .attr('r', nodeRadius)
       .attr('fill', d => d.cluster === -1 ? '#999' : color(d.cluster))
       .attr('stroke', d => {
         if (d.data.interviewId === selectedInterview?.interviewId) return '#000';
@@ -173,21 +243,21 @@ const ClusterVisualization = ({
         d3.select(this)
           .transition()
           .duration(200)
-          .attr('r', d.cluster === -1 ? 20 : 30);
+          .attr('r', nodeRadius(d) + 5);
         showTooltip(event, d);
       })
       .on('mouseout', function(event, d) {
         d3.select(this)
           .transition()
           .duration(200)
-          .attr('r', d.cluster === -1 ? 15 : 25);
+          .attr('r', nodeRadius(d));
         hideTooltip();
       });
     
     // Add highlight effect for nodes with selected tags
     node.filter(d => d.hasSelectedTags && selectedTags.size > 0)
       .append('circle')
-      .attr('r', d => d.cluster === -1 ? 22 : 32)
+      .attr('r', d => nodeRadius(d) + 7)
       .attr('fill', 'none')
       .attr('stroke', '#f59e0b')
       .attr('stroke-width', 2)
@@ -199,8 +269,9 @@ const ClusterVisualization = ({
       .attr('dur', '2s')
       .attr('repeatCount', 'indefinite');
     
-    // Add labels
-    node.append('text')
+    // Add labels; map nodes are too small for them
+    node.filter(() => !mapLayout)
+      .append('text')
       .attr('dy', '.35em')
       .attr('text-anchor', 'middle')
       .attr('fill', 'white')
@@ -209,6 +280,29 @@ const ClusterVisualization = ({
       .style('pointer-events', 'none')
       .text(d => d.data.interviewId.substring(0, 3));
     
+    // Zoom and pan move the map nodes but keep their size. The zoom is kept
+    // across re-renders (e.g. selecting an interview) and reset when the
+    // cluster type or layout changes.
+    if (mapLayout) {
+      const placeNodes = transform => node.attr(
+        'transform',
+        d => `translate(${transform.applyX(d.x)},${transform.applyY(d.y)})`
+      );
+      const zoom = d3.zoom()
+        .scaleExtent([0.5, 20])
+        .on('zoom', event => placeNodes(event.transform));
+      svg.call(zoom);
+      legend.raise();
+      
+      const zoomKey = `${clusterType}:${layout}`;
+      if (zoomKeyRef.current !== zoomKey) {
+        svg.call(zoom.transform, d3.zoomIdentity);
+      } else {
+        placeNodes(d3.zoomTransform(svg.node()));
+      }
+    }
+    zoomKeyRef.current = `${clusterType}:${layout}`;
+    
     // Tooltip
     const tooltip = d3.select('body').append('div')
       .attr('class', 'tooltip')
@@ -234,7 +328,9 @@ const ClusterVisualization = ({
         <div style="margin-top: 8px; font-size: 12px;">
           ${d.data.demographics?.major || 'Unknown Major'}<br/>
           ${d.data.demographics?.year || 'Unknown Year'}<br/>
-          ${d.cluster >= 0 ? `Cluster: ${d.cluster + 1}` : 'Unclustered'}<br/>
+          ${d.data.demographics?.firstGeneration ? 'First-generation<br/>' : ''}
+          ${cluster ? `Cluster ${d.cluster + 1}: ${clusterName(cluster, d.cluster)}` : noise.has(d.index) ? 'Outlier: fits no cluster' : 'Unclustered'}<br/>
+          ${cluster?.description ? `<span style="opacity: 0.8;">${cluster.description}</span><br/>` : ''}
           ${cluster ? `Cohesion: ${(cluster.cohesion * 100).toFixed(1)}%` : ''}<br/>
           <div style="margin-top: 8px;">
             Themes: ${d.data.analysis?.themes?.length || 0}<br/>
@@ -272,7 +368,7 @@ const ClusterVisualization = ({
     return () => {
       d3.select('body').selectAll('.tooltip').remove();
     };
-  }, [interviews, currentClusters, selectedInterview, onSelectInterview, selectedTags]);
+  }, [interviews, currentResult, currentClusters, noise, color, layout, clusterType, selectedInterview, onSelectInterview, selectedTags, selectedFacets]);
   
   return (
     <div>
@@ -280,27 +376,85 @@ const ClusterVisualization = ({
         <label className="block text-sm font-medium text-gray-700 mb-2">
           Cluster By:
         </label>
-        <select
-          value={clusterType}
-          onChange={(e) => setClusterType(e.target.value)}
-          className="w-full md:w-auto px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-        >
-          <option value="summary">Summary Content</option>
-          <option value="themes">Themes</option>
-          <option value="collegeExperience">College Experiences</option>
-          <option value="quotes">All Quotes</option>
-          {availableTags.length > 0 && (
-            <optgroup label="Quote Tags">
-              {availableTags.map(tag => (
-                <option key={tag} value={`tag:${tag}`}>
-                  Tag: {tag.charAt(0).toUpperCase() + tag.slice(1)}
-                </option>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={clusterType}
+            onChange={(e) => setClusterType(e.target.value)}
+            className="w-full md:w-auto px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="summary">Summary Content</option>
+            <option value="themes">Themes</option>
+            <option value="collegeExperience">College Experiences</option>
+            <option value="quotes">All Quotes</option>
+            {availableTags.length > 0 && (
+              <optgroup label="Quote Tags">
+                {availableTags.map(tag => (
+                  <option key={tag} value={`tag:${tag}`}>
+                    Tag: {tag.charAt(0).toUpperCase() + tag.slice(1)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {currentResult?.projection?.points?.length > 0 && (
+            <div className="inline-flex rounded-md border border-gray-300 text-sm overflow-hidden">
+              {[['clusters', 'Clusters'], ['map', 'Similarity map']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setLayout(value)}
+                  className={`px-3 py-1 ${layout === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
               ))}
-            </optgroup>
+            </div>
           )}
-        </select>
+          {currentResult?.selection && (
+            <button
+              onClick={() => setShowSelection(!showSelection)}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              {showSelection ? 'Hide k selection' : `Why k = ${currentResult.k}?`}
+            </button>
+          )}
+          {currentResult?.dendrogram && (
+            <button
+              onClick={() => setShowDendrogram(!showDendrogram)}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              {showDendrogram ? 'Hide dendrogram' : 'Show dendrogram'}
+            </button>
+          )}
+        </div>
       </div>
       
+      {showSelection && currentResult?.selection && (
+        <div className="mb-4 p-3 border border-gray-200 rounded-md bg-gray-50">
+          <ClusterQualityChart k={currentResult.k} selection={currentResult.selection} />
+        </div>
+      )}
+      
+      {showDendrogram && currentResult?.dendrogram && (
+        <div className="mb-4 p-3 border border-gray-200 rounded-md">
+          <Dendrogram
+            dendrogram={currentResult.dendrogram}
+            clusters={currentClusters}
+            interviews={interviews}
+            onSelectInterview={onSelectInterview}
+            color={color}
+          />
+        </div>
+      )}
+      
+      {hasFacetSelection(selectedFacets) && (
+        <div className="mb-3 flex items-center text-sm">
+          <span className="text-indigo-600 mr-2">👥</span>
+          <span className="text-gray-600">
+            Showing {interviews.filter(i => matchesFacets(i, selectedFacets)).length} of {interviews.length} interviews matching demographic filters
+          </span>
+        </div>
+      )}
+      
       {selectedTags.size > 0 && (
         <div className="mb-3 flex items-center text-sm">
           <span className="text-amber-600 mr-2">🔍</span>
@@ -310,9 +464,63 @@ const ClusterVisualization = ({
         </div>
       )}
       
+      {layout === 'map' && currentResult?.projection?.points?.length > 0 && (
+        <p className="mb-2 text-xs text-gray-500">
+          Closer interviews are more similar ({currentResult.projection.method === 'pca+tsne' ? 't-SNE' : 'PCA'} projection of the embeddings). Scroll to zoom, drag to pan.
+        </p>
+      )}
+      
       <div className="w-full h-full flex justify-center">
         <svg ref={svgRef}></svg>
       </div>
+      
+      {currentClusters?.some(cluster => cluster.label) && (
+        <div className="mt-4 grid gap-3 md:grid-cols-2">
+          {currentClusters.map((cluster, i) => (
+            <div key={cluster.id} className="p-3 border border-gray-200 rounded-md text-sm">
+              <div className="flex items-center font-medium text-gray-800">
+                <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ background: color(i) }}></span>
+                {clusterName(cluster, i)}
+                <span className="ml-1 font-normal text-gray-500">({cluster.size})</span>
+              </div>
+              {cluster.description && (
+                <p className="mt-1 text-xs text-gray-600">{cluster.description}</p>
+              )}
+              {cluster.centralQuote && (
+                <button
+                  onClick={() => {
+                    const interview = interviews.find(item => item.interviewId === cluster.centralQuote.interviewId);
+                    if (interview) onSelectInterview(interview);
+                  }}
+                  className="mt-2 block text-left text-xs italic text-gray-700 hover:text-blue-700"
+                  title="Most central quote in this cluster"
+                >
+                  “{cluster.centralQuote.text}”
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {noise.size > 0 && (
+        <div className="mt-3">
+          <p className="text-sm text-gray-600 mb-2">
+            {noise.size} interview{noise.size > 1 ? 's' : ''} fit no cluster:
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {[...noise].map(idx => interviews[idx] && (
+              <button
+                key={idx}
+                onClick={() => onSelectInterview(interviews[idx])}
+                className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+              >
+                {interviews[idx].intervieweeName || interviews[idx].interviewId}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
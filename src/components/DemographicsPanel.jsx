@@ -0,0 +1,60 @@
+import React from 'react';
+
+const DemographicsPanel = ({ facets, selectedFacets, onFacetToggle, onClearAll }) => {
+  const selectedCount = Object.values(selectedFacets).reduce((sum, values) => sum + values.size, 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold">Filter by Demographics</h3>
+        {selectedCount > 0 && (
+          <button
+            onClick={onClearAll}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {facets.map(facet => (
+          <div key={facet.key}>
+            <div className="text-sm font-medium text-gray-700 mb-2">{facet.label}</div>
+            <div className="flex flex-wrap gap-2">
+              {facet.values.map(({ value, count }) => {
+                const isSelected = selectedFacets[facet.key]?.has(value);
+                return (
+                  <button
+                    key={value}
+                    onClick={() => onFacetToggle(facet.key, value)}
+                    className={`
+                      text-sm px-3 py-1 rounded-full transition-all
+                      ${isSelected
+                        ? 'bg-indigo-600 text-white shadow-md'
+                        : 'bg-indigo-50 text-indigo-800 hover:bg-indigo-100'
+                      }
+                    `}
+                  >
+                    {value}
+                    <span className={`ml-1 text-xs ${isSelected ? 'text-indigo-100' : 'text-indigo-500'}`}>
+                      {count}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selectedCount > 0 && (
+        <div className="mt-3 text-sm text-gray-600">
+          Showing interviews matching all selected groups
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DemographicsPanel;
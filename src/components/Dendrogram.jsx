@@ -0,0 +1,101 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+
+// Renders the merge list from agglomerative clustering as a horizontal tree.
+// Merge height is the cosine distance at which two groups were joined; the
+// dashed line marks where the tree was cut into the chosen k clusters.
+const Dendrogram = ({ dendrogram, clusters, interviews, onSelectInterview, color }) => {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    if (!dendrogram || dendrogram.leaves.length < 2) return;
+
+    const { leaves, merges } = dendrogram;
+    const n = leaves.length;
+    const k = clusters.length;
+
+    // Leaves are positions 0..n-1, merge i is node n + i
+    const buildNode = (id) => {
+      if (id < n) return { id, index: leaves[id], distance: 0 };
+      const [left, right, distance] = merges[id - n];
+      return { id, distance, children: [buildNode(left), buildNode(right)] };
+    };
+    const root = d3.hierarchy(buildNode(2 * n - 2));
+
+    const rowHeight = 14;
+    const margin = { top: 10, right: 120, bottom: 30, left: 10 };
+    const width = 760;
+    const height = n * rowHeight + margin.top + margin.bottom;
+    svg.attr('width', width).attr('height', height);
+
+    d3.cluster().size([n * rowHeight, 1])(root);
+
+    const maxDistance = root.data.distance || 1;
+    const x = d3.scaleLinear()
+      .domain([maxDistance, 0])
+      .range([margin.left, width - margin.right]);
+    const y = node => node.x + margin.top;
+
+    const clusterOf = new Map();
+    clusters.forEach((cluster, i) => cluster.members.forEach(member => clusterOf.set(member, i)));
+
+    const g = svg.append('g');
+
+    g.selectAll('.link')
+      .data(root.links())
+      .enter().append('path')
+      .attr('class', 'link')
+      .attr('fill', 'none')
+      .attr('stroke', '#9ca3af')
+      .attr('d', link => `M${x(link.source.data.distance)},${y(link.source)}V${y(link.target)}H${x(link.target.data.distance)}`);
+
+    const leafNodes = g.selectAll('.leaf')
+      .data(root.leaves())
+      .enter().append('g')
+      .attr('class', 'leaf')
+      .attr('transform', leaf => `translate(${x(0)},${y(leaf)})`)
+      .style('cursor', 'pointer')
+      .on('click', (event, leaf) => {
+        const interview = interviews[leaf.data.index];
+        if (interview) onSelectInterview(interview);
+      });
+
+    leafNodes.append('circle')
+      .attr('r', 4)
+      .attr('fill', leaf => color(clusterOf.get(leaf.data.index)));
+
+    leafNodes.append('text')
+      .attr('x', 8)
+      .attr('dy', '.35em')
+      .style('font-size', '11px')
+      .text(leaf => interviews[leaf.data.index]?.interviewId || leaf.data.index);
+
+    // The cut lies between the last merge kept and the first merge undone
+    if (k > 1 && k <= n) {
+      const below = merges[n - k - 1]?.[2] ?? 0;
+      const above = merges[n - k][2];
+      const cut = (below + above) / 2;
+      g.append('line')
+        .attr('x1', x(cut))
+        .attr('x2', x(cut))
+        .attr('y1', margin.top)
+        .attr('y2', height - margin.bottom)
+        .attr('stroke', '#f59e0b')
+        .attr('stroke-dasharray', '4,3');
+    }
+
+    svg.append('g')
+      .attr('transform', `translate(0, ${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(6));
+  }, [dendrogram, clusters, interviews, onSelectInterview, color]);
+
+  return (
+    <div className="overflow-auto max-h-[32rem]">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default Dendrogram;
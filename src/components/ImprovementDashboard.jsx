@@ -0,0 +1,221 @@
+import React, { useState, useMemo } from 'react';
+
+const PRIORITY_STYLES = {
+  critical: 'bg-red-600 text-white',
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-green-100 text-green-800'
+};
+
+const PRIORITY_BARS = {
+  critical: 'bg-red-600',
+  high: 'bg-red-400',
+  medium: 'bg-yellow-400',
+  low: 'bg-green-400'
+};
+
+const priorityStyle = priority => PRIORITY_STYLES[priority] || 'bg-gray-100 text-gray-700';
+
+const csvCell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// One row per group of similar areas, for the report to campus administration
+function toCsv(groups) {
+  const header = ['Area', 'Highest priority', 'Priorities', 'Areas', 'Interviews', 'Stakeholders', 'Action items'];
+  const rows = groups.map(group => [
+    group.title,
+    group.priority,
+    Object.entries(group.priorities).map(([p, n]) => `${p}: ${n}`).join('; '),
+    group.areaCount,
+    group.interviewCount,
+    group.stakeholders.map(s => `${s.stakeholder} (${s.count})`).join('; '),
+    group.actionItems.map(a => `${a.text} (${a.count})`).join('; ')
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+// Areas for improvement rolled up across interviews: counts by priority and
+// stakeholder office, and similar areas merged with deduplicated action items
+const ImprovementDashboard = ({ report, interviews, onSelectInterview }) => {
+  const [priority, setPriority] = useState(null);
+  const [stakeholder, setStakeholder] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const groups = useMemo(() => (report?.groups || [])
+    .filter(group => !priority || group.priorities[priority])
+    .filter(group => !stakeholder || group.stakeholders.some(s => s.stakeholder === stakeholder)),
+  [report, priority, stakeholder]);
+
+  if (!report || report.totals.areas === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No areas for improvement yet. Run <code>npm run process-data</code> to generate the report.
+      </p>
+    );
+  }
+
+  const maxPriorityCount = Math.max(...Object.values(report.byPriority));
+
+  const downloadCsv = () => {
+    const url = URL.createObjectURL(new Blob([toCsv(groups)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'improvement-report.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          ['Areas raised', report.totals.areas],
+          ['Interviews', report.totals.interviews],
+          ['Distinct areas', report.totals.groups],
+          ['Action items', report.totals.actionItems]
+        ].map(([label, value]) => (
+          <div key={label} className="p-3 rounded-md bg-gray-50 border border-gray-200">
+            <div className="text-2xl font-semibold text-gray-900">{value}</div>
+            <div className="text-xs text-gray-600">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">By priority</h3>
+          <div className="space-y-1">
+            {Object.entries(report.byPriority).map(([p, count]) => (
+              <button
+                key={p}
+                onClick={() => setPriority(priority === p ? null : p)}
+                className={`w-full flex items-center text-xs text-left rounded px-1 py-0.5 ${priority === p ? 'bg-blue-50 ring-1 ring-blue-400' : 'hover:bg-gray-50'}`}
+              >
+                <span className="w-16 capitalize text-gray-700">{p}</span>
+                <span className="flex-1 mx-2 h-3 bg-gray-100 rounded">
+                  <span
+                    className={`block h-3 rounded ${PRIORITY_BARS[p] || 'bg-gray-400'}`}
+                    style={{ width: `${(count / maxPriorityCount) * 100}%` }}
+                  ></span>
+                </span>
+                <span className="w-8 text-right text-gray-600">{count}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">By stakeholder office</h3>
+          <div className="max-h-48 overflow-y-auto">
+            <table className="w-full text-xs">
+              <tbody>
+                {report.byStakeholder.map(s => (
+                  <tr
+                    key={s.stakeholder}
+                    onClick={() => setStakeholder(stakeholder === s.stakeholder ? null : s.stakeholder)}
+                    className={`cursor-pointer ${stakeholder === s.stakeholder ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <td className="py-1 pr-2 text-gray-800">{s.stakeholder}</td>
+                    <td className="py-1 pr-2 text-right text-gray-600">{s.count}</td>
+                    <td className="py-1 text-right">
+                      {Object.entries(s.priorities).map(([p, n]) => (
+                        <span key={p} className={`ml-1 px-1.5 rounded ${priorityStyle(p)}`} title={p}>{n}</span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-gray-700">
+            Areas ({groups.length})
+            {(priority || stakeholder) && (
+              <button
+                onClick={() => { setPriority(null); setStakeholder(null); }}
+                className="ml-2 text-xs font-normal text-blue-600 hover:text-blue-800"
+              >
+                Clear filters
+              </button>
+            )}
+          </h3>
+          <button
+            onClick={downloadCsv}
+            className="text-xs px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            Download CSV
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          {groups.map(group => (
+            <div key={group.id} className="p-3 border border-gray-200 rounded-md">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="font-medium text-gray-800">{group.title}</div>
+                  <div className="text-xs text-gray-500">
+                    Raised {group.areaCount} time{group.areaCount === 1 ? '' : 's'} in {group.interviewCount} interview{group.interviewCount === 1 ? '' : 's'}
+                  </div>
+                </div>
+                <div className="flex gap-1 whitespace-nowrap">
+                  {Object.entries(group.priorities).map(([p, n]) => (
+                    <span key={p} className={`text-xs px-2 py-0.5 rounded ${priorityStyle(p)}`}>{p} {n}</span>
+                  ))}
+                </div>
+              </div>
+
+              {group.stakeholders.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {group.stakeholders.map(s => (
+                    <span key={s.stakeholder} className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-700">
+                      {s.stakeholder}{s.count > 1 && ` ×${s.count}`}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {group.actionItems.length > 0 && (
+                <ul className="mt-2 list-disc list-inside text-sm text-gray-700">
+                  {group.actionItems.map(item => (
+                    <li key={item.text}>
+                      {item.text}
+                      {item.interviewCount > 1 && (
+                        <span className="ml-1 text-xs text-gray-500">({item.interviewCount} interviews)</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <button
+                onClick={() => setExpanded(expanded === group.id ? null : group.id)}
+                className="mt-2 text-xs text-blue-600 hover:text-blue-800"
+              >
+                {expanded === group.id ? 'Hide interviews' : 'Show interviews'}
+              </button>
+              {expanded === group.id && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {group.members.map(member => (
+                    <button
+                      key={`${member.interviewId}:${member.areaId}`}
+                      onClick={() => interviews[member.interviewIndex] && onSelectInterview(interviews[member.interviewIndex])}
+                      title={member.title}
+                      className="text-xs px-2 py-1 rounded bg-blue-50 text-blue-700 hover:bg-blue-100"
+                    >
+                      {interviews[member.interviewIndex]?.intervieweeName || member.interviewId}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImprovementDashboard;
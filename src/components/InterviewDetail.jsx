@@ -26,8 +26,24 @@ const InterviewDetail = ({ interview }) => {
           <span>🎓 {interview.demographics?.major}</span>
           <span>📚 {interview.demographics?.year}</span>
           <span>👤 {interview.demographics?.gender}, {interview.demographics?.age}</span>
+          {interview.demographics?.ethnicity && (
+            <span>🌎 {interview.demographics.ethnicity}</span>
+          )}
+          {interview.demographics?.firstGeneration === true && (
+            <span>⭐ First-generation</span>
+          )}
         </div>
         
+        {interview.demographics?.custom && Object.keys(interview.demographics.custom).length > 0 && (
+          <div className="flex flex-wrap gap-2 text-xs mb-4">
+            {Object.entries(interview.demographics.custom).map(([key, value]) => (
+              <span key={key} className="bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                {key}: {String(value)}
+              </span>
+            ))}
+          </div>
+        )}
+        
         <div className="flex space-x-2">
           {tabs.map(tab => (
             <button
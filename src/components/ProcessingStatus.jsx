@@ -1,30 +1,60 @@
-import React from 'react';
+import React, { useState } from 'react';
+import ValidationReport from './ValidationReport';
 
 const ProcessingStatus = ({ metadata }) => {
+  const [showReport, setShowReport] = useState(false);
+  const validation = metadata.validation;
+
   return (
-    <div className="flex items-center space-x-4 text-sm">
-      <div className="flex items-center space-x-2">
-        <span className="text-gray-500">Interviews:</span>
-        <span className="font-semibold">{metadata.totalInterviews}</span>
-      </div>
-      <div className="flex items-center space-x-2">
-        <span className="text-gray-500">Clusters:</span>
-        <span className="font-semibold">{metadata.clusters}</span>
-      </div>
-      <div className="flex items-center space-x-2">
-        <span className="text-gray-500">Last processed:</span>
-        <span className="font-semibold">
-          {new Date(metadata.processedAt).toLocaleDateString()}
-        </span>
-      </div>
-      {metadata.failedFiles > 0 && (
-        <div className="flex items-center space-x-2 text-red-600">
-          <span>⚠️</span>
-          <span>{metadata.failedFiles} failed</span>
+    <>
+      <div className="flex items-center space-x-4 text-sm">
+        <div className="flex items-center space-x-2">
+          <span className="text-gray-500">Interviews:</span>
+          <span className="font-semibold">{metadata.totalInterviews}</span>
         </div>
+        <div className="flex items-center space-x-2">
+          <span className="text-gray-500">Clusters:</span>
+          <span className="font-semibold">{metadata.clusters}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="text-gray-500">Last processed:</span>
+          <span className="font-semibold">
+            {new Date(metadata.processedAt).toLocaleDateString()}
+          </span>
+        </div>
+        {validation ? (
+          <button
+            onClick={() => setShowReport(true)}
+            className="flex items-center space-x-3 px-2 py-1 rounded-md border border-gray-200 hover:bg-gray-50"
+            title={metadata.validationFailedAt
+              ? 'The last build stopped on validation errors. View validation report'
+              : 'View validation report'}
+          >
+            <span className="flex items-center text-green-700">
+              <span className="w-2.5 h-2.5 rounded-full bg-green-500 mr-1"></span>
+              {validation.valid}
+            </span>
+            <span className="flex items-center text-yellow-700">
+              <span className="w-2.5 h-2.5 rounded-full bg-yellow-400 mr-1"></span>
+              {validation.warning}
+            </span>
+            <span className="flex items-center text-red-700">
+              <span className="w-2.5 h-2.5 rounded-full bg-red-500 mr-1"></span>
+              {validation.critical}
+            </span>
+          </button>
+        ) : metadata.failedFiles > 0 && (
+          <div className="flex items-center space-x-2 text-red-600">
+            <span>⚠️</span>
+            <span>{metadata.failedFiles} failed</span>
+          </div>
+        )}
+      </div>
+      {showReport && (
+        <ValidationReport onClose={() => setShowReport(false)} />
       )}
-    </div>
+    </>
   );
 };
 
-export default ProcessingStatus;
\ No newline at end of file
+export default ProcessingStatus;
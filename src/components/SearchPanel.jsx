@@ -1,83 +1,100 @@
 import React, { useState, useEffect, useRef } from 'react';
 import lunr from 'lunr';
+import { hasFacetSelection, matchesFacets } from '../utils/facets';
+import { fuseRankings } from '../utils/search';
 
-const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedTags }) => {
+const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedTags, selectedFacets, dataVersion }) => {
   const [searchTerm, setSearchTerm] = useState('');
-  const [searchType, setSearchType] = useState('text');
+  const [searchType, setSearchType] = useState('hybrid');
+  const [textWeight, setTextWeight] = useState(0.5);
   const [searchIndex, setSearchIndex] = useState(null);
-  const [embeddings, setEmbeddings] = useState([]);
   const [results, setResults] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  // Embedding model state in the worker: loading (with download progress), ready or error
+  const [modelStatus, setModelStatus] = useState({ state: 'loading', progress: null });
+  // Whether hybrid results include the semantic signal: included, pending
+  // (keyword matches shown until the model loads) or unavailable
+  const [semanticSignal, setSemanticSignal] = useState('included');
   
-  const embeddingCache = useRef(new Map());
+  // Results before tag and demographic filtering, so clearing a filter brings them back
+  const unfilteredResults = useRef([]);
+  // Unfused rankings from the last hybrid search, while its results are the
+  // ones shown for the current query
+  const lastRankings = useRef(null);
+  const workerRef = useRef(null);
+  // Worker requests awaiting an answer, by request ID
+  const pendingRequests = useRef(new Map());
+  const nextRequestId = useRef(0);
+  // Bumped by every search, so results of superseded searches are dropped
+  const searchSeq = useRef(0);
 
   useEffect(() => {
-    // Load search index and embeddings with correct base path
-    const baseUrl = import.meta.env.BASE_URL;
-    Promise.all([
-      fetch(`${baseUrl}data/search-index.json`).then(r => r.json()),
-      import('@xenova/transformers')
-    ]).then(([data, transformers]) => {
-      const idx = lunr.Index.load(data.index);
-      setSearchIndex({
-        index: idx,
-        documents: data.documents,
-        embeddings: data.embeddings
-      });
-      setEmbeddings(data.embeddings || []);
+    const worker = new Worker(new URL('../workers/semantic-search.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.current.get(data.requestId);
+      if (data.type === 'progress') {
+        setModelStatus({ state: 'loading', progress: data.progress });
+      } else if (data.type === 'ready') {
+        setModelStatus({ state: 'ready', progress: 1 });
+      } else if (data.type === 'error' && !request) {
+        console.error('Semantic search unavailable:', data.message);
+        setModelStatus({ state: 'error', progress: null });
+      } else if (request) {
+        pendingRequests.current.delete(data.requestId);
+        if (data.type === 'results') request.resolve(data.results);
+        else if (data.type === 'cancelled') request.resolve(null);
+        else request.reject(new Error(data.message));
+      }
+    };
+    workerRef.current = worker;
 
-      initializeEmbedder(transformers);
-    });
+    return () => {
+      worker.terminate();
+      pendingRequests.current.forEach(request => request.resolve(null));
+      pendingRequests.current.clear();
+    };
   }, []);
 
-  // Re-filter results when tags change
   useEffect(() => {
-    if (results.length > 0 && searchTerm) {
-      applyFilters();
-    }
-  }, [selectedTags]);
+    // Load search index and embeddings with correct base path
+    const baseUrl = import.meta.env.BASE_URL;
+    fetch(`${baseUrl}data/search-index.json`, { cache: 'no-cache' })
+      .then(r => r.json())
+      .then(data => {
+        setSearchIndex({
+          index: lunr.Index.load(data.index),
+          documents: new Map(data.documents.map(doc => [doc.id, doc]))
+        });
 
-  const initializeEmbedder = async (transformers) => {
-    if (!window.embeddingPipeline) {
-      window.embeddingPipeline = await transformers.pipeline(
-        'feature-extraction', 
-        'Xenova/all-MiniLM-L6-v2'
-      );
-    }
-  };
+        // Queries must be embedded with the model that built the index
+        workerRef.current.postMessage({
+          type: 'load',
+          model: data.model || 'Xenova/all-MiniLM-L6-v2',
+          embeddings: data.embeddings || [],
+          embeddingsUrl: new URL(`${baseUrl}data/embeddings.json`, window.location.href).href,
+          annIndexUrl: new URL(`${baseUrl}data/ann-index.json`, window.location.href).href
+        });
+      });
+  }, [dataVersion]);
 
-  const generateQueryEmbedding = async (query) => {
-    if (embeddingCache.current.has(query)) {
-      return embeddingCache.current.get(query);
+  // Re-filter results when tags or demographic facets change
+  useEffect(() => {
+    if (unfilteredResults.current.length > 0 && searchTerm) {
+      applyFilters();
     }
+  }, [selectedTags, selectedFacets]);
 
-    if (window.embeddingPipeline) {
-      const output = await window.embeddingPipeline(query, { 
-        pooling: 'mean', 
-        normalize: true 
-      });
-      const embedding = Array.from(output.data);
-      embeddingCache.current.set(query, embedding);
-      return embedding;
-    }
-    return null;
-  };
+  // Scores the query in the worker; resolves to null if a newer query replaced it
+  const requestSemanticResults = (query) => {
+    pendingRequests.current.forEach((request, requestId) => {
+      workerRef.current.postMessage({ type: 'cancel', requestId });
+    });
 
-  const cosineSimilarity = (a, b) => {
-    if (!a || !b || a.length !== b.length) return 0;
-    
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
-    }
-    
-    if (normA === 0 || normB === 0) return 0;
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+    const requestId = ++nextRequestId.current;
+    return new Promise((resolve, reject) => {
+      pendingRequests.current.set(requestId, { resolve, reject });
+      workerRef.current.postMessage({ type: 'search', requestId, query });
+    });
   };
 
   const filterResultsByTags = (results) => {
@@ -100,80 +117,144 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
     });
   };
 
+  const filterResultsByFacets = (results) => {
+    if (!hasFacetSelection(selectedFacets)) return results;
+
+    return results.filter(result => {
+      const interview = interviews.find(i => i.interviewId === result.interviewId);
+      return matchesFacets(interview, selectedFacets);
+    });
+  };
+
+  const filterResults = (results) => filterResultsByFacets(filterResultsByTags(results));
+
   const applyFilters = () => {
-    const filtered = filterResultsByTags(results);
+    const filtered = filterResults(unfilteredResults.current);
     setResults(filtered);
     onSearchResults(filtered);
   };
 
-  const performSemanticSearch = async (query) => {
-    setIsProcessing(true);
-    
-    try {
-      const queryEmbedding = await generateQueryEmbedding(query);
-      if (!queryEmbedding) {
-        setIsProcessing(false);
-        return;
-      }
+  // Documents ranked by Lunr, best first. Lunr scores are unbounded, so they
+  // are shown relative to the best match.
+  const runTextSearch = (query) => {
+    const found = searchIndex.index.search(query);
+    const best = found[0]?.score || 1;
+    return found.map(result => {
+      const doc = searchIndex.documents.get(result.ref);
+      return { ...doc, score: result.score / best };
+    });
+  };
 
-      const similarities = embeddings.map(item => ({
-        ...item,
-        similarity: cosineSimilarity(queryEmbedding, item.embedding)
-      }));
+  // Documents ranked by cosine similarity to the query, or null if the
+  // query was superseded
+  const runSemanticSearch = async (query) => {
+    const found = await requestSemanticResults(query);
+    if (!found) return null;
 
-      const topResults = similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, 50) // Get more results initially
-        .filter(item => item.similarity > 0.3);
+    return found.map(item => {
+      const doc = searchIndex.documents.get(item.id);
+      return {
+        ...doc,
+        score: item.score,
+        metadata: item.metadata
+      };
+    });
+  };
 
-      const semanticResults = topResults.map(item => {
-        const doc = searchIndex.documents.find(d => d.id === item.id);
-        return {
-          ...doc,
-          score: item.similarity,
-          metadata: item.metadata
-        };
-      });
+  // Semantic rankings are null when they could not be computed; the hybrid
+  // results are then the full-text ranking alone
+  const fuseHybrid = ({ text, semantic }) => (semantic
+    ? fuseRankings(text, semantic, { textWeight })
+    : fuseRankings(text, [], { textWeight: 1 }));
 
-      // Apply tag filtering
-      const filtered = filterResultsByTags(semanticResults);
-      setResults(filtered);
-      onSearchResults(filtered);
-    } catch (error) {
-      console.error('Semantic search error:', error);
-      setResults([]);
-    }
-    
-    setIsProcessing(false);
+  const showResults = (found) => {
+    unfilteredResults.current = found;
+    // Apply tag and demographic filtering
+    const filtered = filterResults(found);
+    setResults(filtered);
+    onSearchResults(filtered);
+  };
+
+  const clearResults = () => {
+    unfilteredResults.current = [];
+    setResults([]);
   };
 
   const handleSearch = async () => {
+    const seq = ++searchSeq.current;
+    // Hybrid searches set it again once they have rankings
+    lastRankings.current = null;
     if (!searchTerm.trim()) {
-      setResults([]);
+      clearResults();
+      setIsProcessing(false);
       return;
     }
+    if (!searchIndex) return;
 
-    if (searchType === 'text' && searchIndex) {
+    if (searchType === 'text') {
+      setIsProcessing(false);
       try {
-        const searchResults = searchIndex.index.search(searchTerm);
-        const resultDocs = searchResults.map(result => {
-          const doc = searchIndex.documents.find(d => d.id === result.ref);
-          return { ...doc, score: result.score };
-        });
-        
-        // Apply tag filtering
-        const filtered = filterResultsByTags(resultDocs);
-        setResults(filtered);
-        onSearchResults(filtered);
+        showResults(runTextSearch(searchTerm));
       } catch (error) {
         console.error('Search error:', error);
-        setResults([]);
+        clearResults();
+      }
+      return;
+    }
+
+    setIsProcessing(true);
+    try {
+      if (searchType === 'semantic') {
+        const semanticResults = await runSemanticSearch(searchTerm);
+        if (seq !== searchSeq.current || !semanticResults) return;
+        showResults(semanticResults);
+      } else {
+        // Lunr rejects some query syntax; the semantic half still runs
+        let textResults = [];
+        try {
+          textResults = runTextSearch(searchTerm);
+        } catch (error) {
+          console.error('Search error:', error);
+        }
+        const showHybrid = (semantic, signal) => {
+          lastRankings.current = { text: textResults, semantic };
+          setSemanticSignal(signal);
+          showResults(fuseHybrid(lastRankings.current));
+        };
+
+        if (modelStatus.state === 'error') {
+          showHybrid(null, 'unavailable');
+        } else {
+          // Keyword matches don't wait for the model to download
+          if (modelStatus.state !== 'ready') {
+            showHybrid(null, 'pending');
+            setIsProcessing(false);
+          }
+          let semanticResults = null;
+          try {
+            semanticResults = await runSemanticSearch(searchTerm);
+          } catch (error) {
+            console.error('Hybrid search error:', error);
+          }
+          if (seq !== searchSeq.current) return;
+          showHybrid(semanticResults, semanticResults ? 'included' : 'unavailable');
+        }
       }
-    } else if (searchType === 'semantic') {
-      await performSemanticSearch(searchTerm);
+    } catch (error) {
+      if (seq !== searchSeq.current) return;
+      console.error(`${searchType === 'semantic' ? 'Semantic' : 'Hybrid'} search error:`, error);
+      clearResults();
     }
+    setIsProcessing(false);
   };
 
+  // Moving the weight re-fuses the last hybrid rankings without searching again
+  useEffect(() => {
+    if (searchType === 'hybrid' && lastRankings.current) {
+      showResults(fuseHybrid(lastRankings.current));
+    }
+  }, [textWeight]);
+
   const getInterviewFromResult = (result) => {
     if (result.type === 'interview') {
       return interviews.find(i => i.interviewId === result.interviewId);
@@ -188,7 +269,8 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
       interview: '👤',
       theme: '💡',
       quote: '💬',
-      timeline: '📅'
+      timeline: '📅',
+      improvement: '🛠️'
     };
     return icons[type] || '📄';
   };
@@ -198,7 +280,8 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
       interview: 'bg-blue-100 text-blue-800',
       theme: 'bg-purple-100 text-purple-800',
       quote: 'bg-green-100 text-green-800',
-      timeline: 'bg-orange-100 text-orange-800'
+      timeline: 'bg-orange-100 text-orange-800',
+      improvement: 'bg-red-100 text-red-800'
     };
     return colors[type] || 'bg-gray-100 text-gray-800';
   };
@@ -216,6 +299,14 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
           </div>
         )}
         
+        {hasFacetSelection(selectedFacets) && (
+          <div className="bg-indigo-50 border border-indigo-200 rounded-md p-3">
+            <p className="text-sm text-indigo-800">
+              👥 Results will be filtered by selected demographics
+            </p>
+          </div>
+        )}
+        
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Search Type
@@ -225,10 +316,31 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
             onChange={(e) => setSearchType(e.target.value)}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
           >
+            <option value="hybrid">Hybrid Search (Text + AI)</option>
             <option value="text">Full-Text Search</option>
             <option value="semantic">Semantic Search (AI)</option>
           </select>
         </div>
+
+        {searchType === 'hybrid' && (
+          <div>
+            <label className="flex justify-between text-sm font-medium text-gray-700 mb-2">
+              <span>Balance</span>
+              <span className="text-xs font-normal text-gray-500">
+                {Math.round(textWeight * 100)}% keywords · {Math.round((1 - textWeight) * 100)}% meaning
+              </span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.1"
+              value={textWeight}
+              onChange={(e) => setTextWeight(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+        )}
         
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -238,16 +350,19 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
             <input
               type="text"
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && !isProcessing && handleSearch()}
+              onChange={(e) => {
+                lastRankings.current = null;
+                setSearchTerm(e.target.value);
+              }}
+              onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
               placeholder={
-                searchType === 'semantic' 
+                searchType !== 'text' 
                   ? "Describe what you're looking for..." 
                   : "Enter search terms..."
               }
               className="w-full px-3 py-2 pr-10 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
-            {searchType === 'semantic' && (
+            {searchType !== 'text' && (
               <span className="absolute right-3 top-2.5 text-gray-400">
                 🤖
               </span>
@@ -258,6 +373,32 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
               AI-powered search finds conceptually similar content
             </p>
           )}
+          {searchType === 'hybrid' && (
+            <p className="mt-1 text-xs text-gray-500">
+              Combines keyword matches with conceptually similar content
+            </p>
+          )}
+          {searchType !== 'text' && modelStatus.state === 'loading' && (
+            <div className="mt-2">
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>Loading language model…</span>
+                {modelStatus.progress !== null && (
+                  <span>{Math.round(modelStatus.progress * 100)}%</span>
+                )}
+              </div>
+              <div className="mt-1 h-1 bg-gray-100 rounded">
+                <div
+                  className="h-1 bg-blue-400 rounded transition-all"
+                  style={{ width: `${(modelStatus.progress || 0) * 100}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+          {searchType !== 'text' && modelStatus.state === 'error' && (
+            <p className="mt-1 text-xs text-red-600">
+              Semantic search could not be loaded; use full-text search instead
+            </p>
+          )}
         </div>
         
         <button
@@ -290,11 +431,21 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
                 {selectedTags.size > 0 && (
                   <span className="mr-2">Filtered by tags</span>
                 )}
-                {searchType === 'semantic' && (
+                {hasFacetSelection(selectedFacets) && (
+                  <span className="mr-2">Filtered by demographics</span>
+                )}
+                {searchType !== 'text' && (
                   <span>Ranked by relevance</span>
                 )}
               </div>
             </h3>
+            {searchType === 'hybrid' && semanticSignal !== 'included' && (
+              <p className="mb-3 text-xs text-amber-700">
+                {semanticSignal === 'pending'
+                  ? 'Showing keyword matches; results by meaning are added once the language model has loaded'
+                  : 'Semantic search is unavailable; showing keyword matches only'}
+              </p>
+            )}
             <div className="space-y-3 max-h-96 overflow-y-auto">
               {results.map((result, idx) => {
                 const interview = getInterviewFromResult(result);
@@ -323,6 +474,16 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
                         <p className="text-sm text-gray-600 mt-1 line-clamp-2">
                           {result.content}
                         </p>
+                        {(result.timeframe || result.priority || result.stakeholders) && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            {[
+                              result.timeframe,
+                              result.type === 'timeline' && result.category,
+                              result.priority && `${result.priority} priority`,
+                              result.stakeholders
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                        )}
                         {uniqueTags.length > 0 && (
                           <div className="mt-2 flex flex-wrap gap-1">
                             {uniqueTags.slice(0, 5).map((tag, tagIdx) => (
@@ -347,14 +508,34 @@ const SearchPanel = ({ interviews, onSearchResults, onSelectInterview, selectedT
                       </div>
                       <div className="ml-3 text-right">
                         <span className="text-sm font-medium text-gray-700">
-                          {searchType === 'semantic' 
-                            ? `${(result.score * 100).toFixed(0)}%`
-                            : `${(result.score * 100).toFixed(0)}%`
-                          }
+                          {(result.score * 100).toFixed(0)}%
                         </span>
                         {searchType === 'semantic' && (
                           <div className="text-xs text-gray-500">match</div>
                         )}
+                        {searchType === 'text' && (
+                          <div className="text-xs text-gray-500">of best match</div>
+                        )}
+                        {result.signals && (
+                          <div className="mt-1 flex flex-col items-end gap-0.5">
+                            {result.signals.text && (
+                              <span
+                                className="text-xs px-1.5 rounded bg-sky-100 text-sky-800"
+                                title={`Full-text rank ${result.signals.text.rank}`}
+                              >
+                                text {(result.signals.text.score * 100).toFixed(0)}%
+                              </span>
+                            )}
+                            {result.signals.semantic && (
+                              <span
+                                className="text-xs px-1.5 rounded bg-violet-100 text-violet-800"
+                                title={`Semantic rank ${result.signals.semantic.rank}`}
+                              >
+                                meaning {(result.signals.semantic.score * 100).toFixed(0)}%
+                              </span>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
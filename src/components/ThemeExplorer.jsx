@@ -0,0 +1,182 @@
+import React, { useState, useMemo } from 'react';
+
+// Sortable columns: value to sort by and the default direction
+const COLUMNS = [
+  { key: 'name', label: 'Theme', value: theme => theme.name.toLowerCase(), descending: false },
+  { key: 'category', label: 'Category', value: theme => theme.category || '', descending: false },
+  { key: 'interviews', label: 'Interviews', value: theme => theme.interviewCount, descending: true },
+  { key: 'frequency', label: 'Frequency', value: theme => theme.totalFrequency ?? 0, descending: true },
+  { key: 'impact', label: 'Avg impact', value: theme => theme.averageImpactScore ?? -Infinity, descending: true },
+  { key: 'actionable', label: 'Actionable', value: theme => theme.actionableCount ?? 0, descending: true }
+];
+
+// Corpus-wide view of all themes, merged into canonical themes by the
+// processing step. Rows sort by any column and expand to the contributing
+// interviews and the quotes each one linked to the theme.
+const ThemeExplorer = ({ taxonomy, interviews, onSelectInterview }) => {
+  const [expanded, setExpanded] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [category, setCategory] = useState('');
+  const [actionableOnly, setActionableOnly] = useState(false);
+  const [sort, setSort] = useState({ key: 'interviews', descending: true });
+
+  const categories = useMemo(
+    () => [...new Set((taxonomy?.themes || []).map(theme => theme.category).filter(Boolean))].sort(),
+    [taxonomy]
+  );
+
+  const themes = useMemo(() => {
+    if (!taxonomy) return [];
+    const query = filter.trim().toLowerCase();
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return taxonomy.themes
+      .filter(theme => !query ||
+        [theme.name, theme.category, ...theme.aliases].some(text => text?.toLowerCase().includes(query)))
+      .filter(theme => !category || theme.category === category)
+      .filter(theme => !actionableOnly || theme.actionableCount > 0)
+      .slice()
+      .sort((a, b) => {
+        const x = column.value(a);
+        const y = column.value(b);
+        const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        // Ties keep the taxonomy order (largest first)
+        return sort.descending ? -order : order;
+      });
+  }, [taxonomy, filter, category, actionableOnly, sort]);
+
+  if (!taxonomy || taxonomy.themes.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No canonical themes yet. Run <code>npm run process-data</code> to generate them.
+      </p>
+    );
+  }
+
+  const toggleSort = (column) => {
+    setSort(current => current.key === column.key
+      ? { key: column.key, descending: !current.descending }
+      : { key: column.key, descending: column.descending });
+  };
+
+  const quoteText = (interviewIndex, quoteId) =>
+    interviews[interviewIndex]?.analysis?.quotes?.find(q => q.quoteId === quoteId)?.quoteText;
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter themes..."
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All categories</option>
+          {categories.map(c => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={actionableOnly}
+            onChange={(e) => setActionableOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Actionable only
+        </label>
+      </div>
+      <p className="mb-2 text-xs text-gray-500">
+        {themes.length} of {taxonomy.themes.length} canonical themes, merged from {Object.keys(taxonomy.mapping).length} interview themes
+      </p>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-600">
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => toggleSort(column)}
+                  className={`px-3 py-2 font-medium cursor-pointer select-none hover:text-gray-900 ${column.key === 'name' || column.key === 'category' ? 'text-left' : 'text-right'}`}
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.descending ? ' ▼' : ' ▲')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {themes.map(theme => (
+              <React.Fragment key={theme.id}>
+                <tr
+                  onClick={() => setExpanded(expanded === theme.id ? null : theme.id)}
+                  className={`cursor-pointer ${expanded === theme.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="px-3 py-2 font-medium text-gray-800">{theme.name}</td>
+                  <td className="px-3 py-2 text-gray-600">{theme.category || '–'}</td>
+                  <td className="px-3 py-2 text-right">{theme.interviewCount}</td>
+                  <td className="px-3 py-2 text-right">{theme.totalFrequency ?? '–'}</td>
+                  <td className="px-3 py-2 text-right">{theme.averageImpactScore ?? '–'}</td>
+                  <td className="px-3 py-2 text-right">
+                    {theme.actionableCount > 0 ? `${theme.actionableCount} of ${theme.themeCount}` : '–'}
+                  </td>
+                </tr>
+
+                {expanded === theme.id && (
+                  <tr>
+                    <td colSpan={COLUMNS.length} className="px-3 pb-3 bg-blue-50">
+                      {theme.aliases.length > 0 && (
+                        <div className="mb-2 text-xs text-gray-600">
+                          <span className="font-medium">Also called:</span> {theme.aliases.join(' · ')}
+                        </div>
+                      )}
+
+                      <ul className="space-y-2">
+                        {theme.members.map(member => (
+                          <li key={`${member.interviewId}:${member.themeId}`} className="p-2 bg-white rounded border border-gray-200">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <button
+                                onClick={() => interviews[member.interviewIndex] && onSelectInterview(interviews[member.interviewIndex])}
+                                className="text-xs px-2 py-1 rounded bg-blue-100 text-blue-700 hover:bg-blue-200"
+                              >
+                                {interviews[member.interviewIndex]?.intervieweeName || member.interviewId}
+                              </button>
+                              <span className="text-xs text-gray-700">{member.title}</span>
+                              {member.impactScore !== null && (
+                                <span className="text-xs text-gray-500">impact {member.impactScore}</span>
+                              )}
+                              {member.actionable && (
+                                <span className="text-xs px-1.5 py-0.5 rounded bg-green-100 text-green-700">actionable</span>
+                              )}
+                            </div>
+                            {member.quoteIds.length > 0 && (
+                              <ul className="mt-1 ml-2 space-y-1">
+                                {member.quoteIds.map(quoteId => (
+                                  <li key={quoteId} className="text-xs italic text-gray-700">
+                                    “{quoteText(member.interviewIndex, quoteId) || quoteId}”
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ThemeExplorer;
@@ -0,0 +1,201 @@
+import React, { useRef, useEffect, useState, useMemo } from 'react';
+import * as d3 from 'd3';
+
+const KINDS = [
+  { value: 'quotes', label: 'Quotes', noun: 'quote' },
+  { value: 'themes', label: 'Themes', noun: 'theme' }
+];
+
+// Corpus-wide map of single quotes or themes, clustered into topics that cut
+// across interviews. Every point links back to the interview it came from.
+const TopicMap = ({ topics, interviews, onSelectInterview, selectedInterview }) => {
+  const svgRef = useRef(null);
+  const zoomKeyRef = useRef(null);
+  const [kind, setKind] = useState('quotes');
+  const [activeTopic, setActiveTopic] = useState(null);
+
+  const result = topics?.[kind];
+  const clusters = result?.clusters || [];
+  const noun = KINDS.find(k => k.value === kind).noun;
+
+  // Topic position per item; -1 for noise
+  const topicOf = useMemo(() => {
+    const map = new Map();
+    clusters.forEach((cluster, i) => cluster.members.forEach(member => map.set(member, i)));
+    return map;
+  }, [clusters]);
+
+  const color = useMemo(
+    () => d3.scaleOrdinal(clusters.length > 10 ? d3.schemePaired : d3.schemeCategory10),
+    [clusters]
+  );
+
+  useEffect(() => {
+    setActiveTopic(null);
+  }, [kind, topics]);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    svg.on('.zoom', null);
+
+    const points = result?.projection?.points || [];
+    if (points.length === 0) return;
+
+    const width = 800;
+    const height = 500;
+    const margin = 30;
+    const scale = (Math.min(width, height) - 2 * margin) / 2;
+    svg.attr('width', width).attr('height', height);
+
+    const nodes = points.map(point => {
+      const item = result.items[point.index];
+      return {
+        item,
+        topic: topicOf.has(point.index) ? topicOf.get(point.index) : -1,
+        x: width / 2 + scale * point.x,
+        y: height / 2 - scale * point.y
+      };
+    });
+
+    const isSelected = d => d.item.interviewId === selectedInterview?.interviewId;
+    const isFaded = d => activeTopic !== null && d.topic !== activeTopic;
+
+    const node = svg.append('g')
+      .selectAll('circle')
+      .data(nodes)
+      .enter().append('circle')
+      .attr('cx', d => d.x)
+      .attr('cy', d => d.y)
+      .attr('r', d => (isSelected(d) ? 6 : 4))
+      .attr('fill', d => (d.topic === -1 ? '#999' : color(d.topic)))
+      .attr('stroke', d => (isSelected(d) ? '#000' : 'none'))
+      .attr('stroke-width', 2)
+      .style('opacity', d => (isFaded(d) ? 0.1 : 0.85))
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => {
+        const interview = interviews[d.item.interviewIndex];
+        if (interview) onSelectInterview(interview);
+      })
+      .on('mouseover', (event, d) => showTooltip(event, d))
+      .on('mouseout', () => hideTooltip());
+
+    // Selected interview's points on top
+    node.filter(isSelected).raise();
+
+    const placeNodes = transform => node
+      .attr('cx', d => transform.applyX(d.x))
+      .attr('cy', d => transform.applyY(d.y));
+    const zoom = d3.zoom()
+      .scaleExtent([0.5, 40])
+      .on('zoom', event => placeNodes(event.transform));
+    svg.call(zoom);
+
+    // Keep the zoom while selecting interviews or topics; reset it for a new map
+    if (zoomKeyRef.current !== kind) {
+      svg.call(zoom.transform, d3.zoomIdentity);
+      zoomKeyRef.current = kind;
+    } else {
+      placeNodes(d3.zoomTransform(svg.node()));
+    }
+
+    const tooltip = d3.select('body').append('div')
+      .attr('class', 'tooltip')
+      .style('opacity', 0)
+      .style('position', 'absolute')
+      .style('max-width', '320px')
+      .style('background', 'rgba(0, 0, 0, 0.9)')
+      .style('color', 'white')
+      .style('padding', '10px')
+      .style('border-radius', '8px')
+      .style('font-size', '13px')
+      .style('pointer-events', 'none')
+      .style('z-index', '1000');
+
+    function showTooltip(event, d) {
+      const interview = interviews[d.item.interviewIndex];
+      const topic = clusters[d.topic];
+      tooltip.transition().duration(200).style('opacity', .9);
+      tooltip.html(`
+        <div>${d.item.text}</div>
+        <div style="margin-top: 6px; font-size: 11px; opacity: 0.8;">
+          ${interview?.intervieweeName || d.item.interviewId}<br/>
+          ${topic ? `Topic: ${topic.label}` : 'Fits no topic'}
+        </div>
+      `)
+      .style('left', (event.pageX + 10) + 'px')
+      .style('top', (event.pageY - 28) + 'px');
+    }
+
+    function hideTooltip() {
+      tooltip.transition().duration(300).style('opacity', 0);
+    }
+
+    return () => {
+      tooltip.remove();
+    };
+  }, [result, kind, topicOf, color, clusters, activeTopic, interviews, onSelectInterview, selectedInterview]);
+
+  if (!topics) {
+    return (
+      <p className="text-sm text-gray-500">
+        No topic data yet. Run <code>npm run process-data</code> to generate it.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-3">
+        <div className="inline-flex rounded-md border border-gray-300 text-sm overflow-hidden">
+          {KINDS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setKind(value)}
+              className={`px-3 py-1 ${kind === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {result && (
+          <span className="text-sm text-gray-600">
+            {result.items.length} {noun}s in {clusters.length} topic{clusters.length === 1 ? '' : 's'}
+            {result.noise?.length > 0 && `, ${result.noise.length} unassigned`}
+          </span>
+        )}
+      </div>
+
+      <p className="mb-2 text-xs text-gray-500">
+        Each point is one {noun}; closer points are more similar. Click a point to open its interview, or a topic below to highlight it.
+      </p>
+
+      <div className="w-full flex justify-center border border-gray-100 rounded-md">
+        <svg ref={svgRef}></svg>
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-2">
+        {clusters.map((cluster, i) => (
+          <button
+            key={cluster.id}
+            onClick={() => setActiveTopic(activeTopic === i ? null : i)}
+            className={`p-3 border rounded-md text-left text-sm ${activeTopic === i ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+          >
+            <div className="flex items-center font-medium text-gray-800">
+              <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ background: color(i) }}></span>
+              {cluster.label}
+            </div>
+            <div className="mt-1 text-xs text-gray-600">
+              {cluster.size} {noun}{cluster.size === 1 ? '' : 's'} from {cluster.interviews} interview{cluster.interviews === 1 ? '' : 's'}
+            </div>
+            {cluster.centralQuote && (
+              <div className="mt-2 text-xs italic text-gray-700">“{cluster.centralQuote.text}”</div>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TopicMap;
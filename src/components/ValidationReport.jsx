@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+
+const STATUS_STYLES = {
+  valid: { label: 'Valid', dot: 'bg-green-500', badge: 'bg-green-100 text-green-800' },
+  warning: { label: 'Warnings', dot: 'bg-yellow-400', badge: 'bg-yellow-100 text-yellow-800' },
+  critical: { label: 'Critical', dot: 'bg-red-500', badge: 'bg-red-100 text-red-800' }
+};
+
+const ValidationReport = ({ onClose }) => {
+  const [report, setReport] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [expandedFiles, setExpandedFiles] = useState(new Set());
+
+  useEffect(() => {
+    const baseUrl = import.meta.env.BASE_URL;
+    fetch(`${baseUrl}data/validation-report.json`, { cache: 'no-cache' })
+      .then(r => {
+        if (!r.ok) throw new Error(`Validation report not available (${r.status})`);
+        return r.json();
+      })
+      .then(setReport)
+      .catch(error => setLoadError(error.message));
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const toggleFile = (file) => {
+    const next = new Set(expandedFiles);
+    if (next.has(file)) {
+      next.delete(file);
+    } else {
+      next.add(file);
+    }
+    setExpandedFiles(next);
+  };
+
+  // Show files with problems first, most severe at the top
+  const severityOrder = { critical: 0, warning: 1, valid: 2 };
+  const files = (report?.files || [])
+    .filter(f => statusFilter === 'all' || f.status === statusFilter)
+    .sort((a, b) => severityOrder[a.status] - severityOrder[b.status] || a.file.localeCompare(b.file));
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center bg-black bg-opacity-40 pt-16"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <div>
+            <h2 className="text-xl font-semibold">Validation Report</h2>
+            {report && (
+              <p className="text-sm text-gray-500 mt-1">
+                Schema v{report.schemaVersion} · generated {new Date(report.generatedAt).toLocaleString()}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 text-2xl leading-none"
+            aria-label="Close validation report"
+          >
+            ×
+          </button>
+        </div>
+
+        {loadError && (
+          <div className="px-6 py-8 text-center text-red-600">{loadError}</div>
+        )}
+
+        {!report && !loadError && (
+          <div className="px-6 py-8 text-center text-gray-500">Loading validation report...</div>
+        )}
+
+        {report && (
+          <>
+            <div className="flex flex-wrap gap-2 px-6 py-3 border-b">
+              <button
+                onClick={() => setStatusFilter('all')}
+                className={`text-sm px-3 py-1 rounded-full ${
+                  statusFilter === 'all' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                All ({report.files.length})
+              </button>
+              {Object.entries(STATUS_STYLES).map(([status, style]) => (
+                <button
+                  key={status}
+                  onClick={() => setStatusFilter(status)}
+                  className={`flex items-center text-sm px-3 py-1 rounded-full ${
+                    statusFilter === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  <span className={`w-2.5 h-2.5 rounded-full mr-2 ${style.dot}`}></span>
+                  {style.label} ({report.summary[status] || 0})
+                </button>
+              ))}
+            </div>
+
+            <div className="overflow-y-auto px-6 py-3 space-y-2">
+              {files.length === 0 && (
+                <div className="py-6 text-center text-gray-500">No files with this status</div>
+              )}
+              {files.map(entry => {
+                const style = STATUS_STYLES[entry.status];
+                const isExpanded = expandedFiles.has(entry.file);
+                return (
+                  <div key={entry.file} className="border rounded-md">
+                    <button
+                      onClick={() => entry.errors.length > 0 && toggleFile(entry.file)}
+                      className={`w-full flex items-center justify-between px-3 py-2 text-left ${
+                        entry.errors.length > 0 ? 'hover:bg-gray-50' : 'cursor-default'
+                      }`}
+                    >
+                      <div className="flex items-center min-w-0">
+                        <span className={`flex-shrink-0 w-3 h-3 rounded-full mr-3 ${style.dot}`}></span>
+                        <span className="font-medium truncate">{entry.file}</span>
+                        {entry.interviewId && (
+                          <span className="ml-2 text-xs text-gray-500 truncate">{entry.interviewId}</span>
+                        )}
+                        {entry.migratedFrom && (
+                          <span className="ml-2 flex-shrink-0 text-xs bg-blue-100 text-blue-800 px-1.5 py-0.5 rounded">
+                            migrated from v{entry.migratedFrom}
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex items-center flex-shrink-0 ml-3">
+                        <span className={`text-xs px-2 py-0.5 rounded ${style.badge}`}>
+                          {entry.errors.length > 0
+                            ? `${entry.errors.length} issue${entry.errors.length > 1 ? 's' : ''}`
+                            : 'OK'}
+                        </span>
+                        {entry.errors.length > 0 && (
+                          <span className="ml-2 text-gray-400 text-xs">{isExpanded ? '▲' : '▼'}</span>
+                        )}
+                      </div>
+                    </button>
+
+                    {isExpanded && (
+                      <ul className="border-t bg-gray-50 px-3 py-2 space-y-1 text-sm">
+                        {entry.errors.map((error, idx) => (
+                          <li key={idx} className="flex items-start">
+                            <span className={`flex-shrink-0 w-2 h-2 rounded-full mt-1.5 mr-2 ${
+                              STATUS_STYLES[error.severity]?.dot || 'bg-gray-400'
+                            }`}></span>
+                            <div className="min-w-0">
+                              <code className="text-xs bg-gray-200 px-1 py-0.5 rounded break-all">
+                                {error.path}
+                              </code>
+                              <span className="ml-2 text-gray-700">{error.message}</span>
+                              <span className="ml-2 text-xs text-gray-400">({error.keyword})</span>
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,11 @@
+// Selected demographic facets are stored as { [facetKey]: Set<value> }.
+// Values within one facet are alternatives; different facets must all match.
+export const hasFacetSelection = (selectedFacets) =>
+  Object.values(selectedFacets || {}).some(values => values.size > 0);
+
+export const matchesFacets = (interview, selectedFacets) => {
+  if (!interview) return false;
+  return Object.entries(selectedFacets || {}).every(([key, values]) =>
+    values.size === 0 || values.has(interview.facets?.[key])
+  );
+};
@@ -0,0 +1,29 @@
+// Reciprocal rank fusion of full-text (Lunr) and semantic (cosine) results.
+// Lunr scores are unbounded and cosine similarities are not, so the two are
+// combined by rank rather than by score. `textWeight` runs from 0 (semantic
+// only) to 1 (full-text only); RRF_K damps the gap between the top ranks.
+export const RRF_K = 60;
+
+export const fuseRankings = (textResults, semanticResults, { textWeight = 0.5, k = RRF_K } = {}) => {
+  const fused = new Map();
+  const maxTextScore = Math.max(0, ...textResults.map(result => result.score));
+
+  const add = (results, signal, weight, normalize) => {
+    results.forEach((result, rank) => {
+      if (!fused.has(result.id)) fused.set(result.id, { ...result, fusedScore: 0, signals: {} });
+      const entry = fused.get(result.id);
+      entry.fusedScore += weight / (k + rank + 1);
+      entry.signals[signal] = { rank: rank + 1, score: normalize(result.score) };
+    });
+  };
+
+  add(textResults, 'text', textWeight, score => (maxTextScore > 0 ? score / maxTextScore : 0));
+  add(semanticResults, 'semantic', 1 - textWeight, score => score);
+
+  // Scaled so a document ranked first by both signals scores 1
+  const best = 1 / (k + 1);
+  return [...fused.values()]
+    .map(({ fusedScore, ...result }) => ({ ...result, score: fusedScore / best }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
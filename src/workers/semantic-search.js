@@ -0,0 +1,223 @@
+// Semantic search off the main thread: loads the embedding model, embeds
+// queries and scores them against the search index embeddings, so the page
+// stays interactive while a query runs.
+//
+// Messages in:
+//   { type: 'load', model, embeddings, embeddingsUrl, annIndexUrl }
+//       embeddings: [{ id, embeddingId, metadata }], the search index entries
+//   { type: 'search', requestId, query, limit, minScore }
+//   { type: 'cancel', requestId }
+// Messages out:
+//   { type: 'progress', file, loaded, total, progress }   model download
+//   { type: 'ready' }
+//   { type: 'results', requestId, results }   results: [{ id, score, metadata }]
+//   { type: 'cancelled', requestId }
+//   { type: 'error', requestId?, message }
+//
+// A new search supersedes any older one still waiting for its query embedding.
+//
+// The vectors themselves come from embeddings.json (an offset table) and
+// embeddings.bin (packed float32, int8 or binary values, see
+// scripts/embedding-store.js and scripts/quantization.js). Entries that still
+// carry an inline `embedding` array are used as they are.
+//
+// When the build wrote an approximate nearest-neighbour index (ann-index.json,
+// see scripts/ann-index.js), a query only scans the `nprobe` partitions whose
+// centroids are closest to it. Without one, or until it has loaded, every
+// embedding is scanned.
+
+import { pipeline } from '@xenova/transformers';
+
+let extractor = null;
+let loadedModel = null;
+let entries = [];
+let entriesLoaded = Promise.resolve();
+let annIndex = null;
+let latestRequestId = null;
+const pending = new Set();
+const cancelled = new Set();
+const queryCache = new Map();
+// Queries are embedded one at a time, so those superseded while waiting for
+// their turn are dropped without running the model
+let inference = Promise.resolve();
+
+// Bytes downloaded per model file, summed into one progress figure
+const downloads = new Map();
+
+function reportProgress(event) {
+  if (event.status !== 'progress' || !event.total) return;
+  downloads.set(event.file, { loaded: event.loaded, total: event.total });
+  const loaded = [...downloads.values()].reduce((sum, d) => sum + d.loaded, 0);
+  const total = [...downloads.values()].reduce((sum, d) => sum + d.total, 0);
+  self.postMessage({ type: 'progress', file: event.file, loaded, total, progress: loaded / total });
+}
+
+// A missing or unreadable index just means exact search. The index is only
+// usable for the embeddings it was built from.
+async function loadAnnIndex(url, forEntries) {
+  const index = await fetch(url, { cache: 'no-cache' })
+    .then(r => (r.ok ? r.json() : null))
+    .catch(() => null);
+  const dimensions = forEntries.find(entry => entry.vector)?.vector.length;
+  if (entries === forEntries && index?.type === 'ivf' &&
+    index.count === forEntries.length && index.dimensions === dimensions) {
+    annIndex = {
+      nprobe: index.nprobe,
+      centroids: index.centroids.map(centroid => Float32Array.from(centroid)),
+      lists: index.lists
+    };
+  }
+}
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const littleEndianHost = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// Decodes one stored vector: float32 is read in place, int8 is multiplied by
+// its scale, and binary (sign bits, most significant first) becomes ±1
+function decodeVector(table, buffer, offset, position) {
+  const { format, dimensions } = table;
+  if (format === 'int8') {
+    const values = new Int8Array(buffer, offset, dimensions);
+    const scale = table.scales[position];
+    return Float32Array.from(values, value => value * scale);
+  }
+  if (format === 'binary') {
+    const bits = new Uint8Array(buffer, offset, table.bytesPerVector);
+    return Float32Array.from({ length: dimensions }, (_, i) => (bits[i >> 3] & (0x80 >> (i & 7)) ? 1 : -1));
+  }
+  if (littleEndianHost) return new Float32Array(buffer, offset, dimensions);
+  const view = new DataView(buffer, offset);
+  return Float32Array.from({ length: dimensions }, (_, i) => view.getFloat32(i * 4, true));
+}
+
+// Vectors by embedding ID, and the factor binary similarities are divided by
+async function loadVectors(url) {
+  const download = async (fileUrl) => {
+    const response = await fetch(fileUrl, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${fileUrl} returned ${response.status}`);
+    return response;
+  };
+  const table = await (await download(url)).json();
+  const buffer = await (await download(new URL(table.file, url))).arrayBuffer();
+  const bytesPerVector = table.bytesPerVector ?? table.dimensions * Float32Array.BYTES_PER_ELEMENT;
+
+  // IDs that share an offset share the decoded vector
+  const decoded = new Map();
+  const vectors = new Map();
+  Object.entries(table.offsets).forEach(([id, offset]) => {
+    if (!decoded.has(offset)) decoded.set(offset, decodeVector(table, buffer, offset, offset / bytesPerVector));
+    vectors.set(id, decoded.get(offset));
+  });
+  return { vectors, scoreScale: table.scoreScale || 1 };
+}
+
+// Binary vectors underestimate similarity, so their norm absorbs the file's score scale
+async function loadEntries(embeddings, embeddingsUrl) {
+  const { vectors, scoreScale } = embeddings.some(entry => entry.embeddingId)
+    ? await loadVectors(embeddingsUrl)
+    : { vectors: new Map(), scoreScale: 1 };
+  return embeddings
+    .map(({ id, embedding, embeddingId, metadata }) => {
+      const inline = Boolean(embedding);
+      return { id, vector: inline ? Float32Array.from(embedding) : vectors.get(embeddingId), inline, metadata };
+    })
+    .map(({ inline, ...entry }) => ({
+      ...entry,
+      norm: entry.vector ? Math.sqrt(dot(entry.vector, entry.vector)) * (inline ? 1 : scoreScale) : 0
+    }));
+}
+
+function load({ model, embeddings, embeddingsUrl, annIndexUrl }) {
+  annIndex = null;
+  entries = [];
+  const loading = loadEntries(embeddings || [], embeddingsUrl).then(loaded => {
+    // A newer load replaced this one while it was downloading
+    if (entriesLoaded !== loading) return;
+    entries = loaded;
+    if (annIndexUrl) loadAnnIndex(annIndexUrl, loaded);
+  }).catch(error => {
+    self.postMessage({ type: 'error', message: `Embeddings could not be loaded: ${error.message}` });
+  });
+  entriesLoaded = loading;
+
+  if (!extractor || loadedModel !== model) {
+    loadedModel = model;
+    queryCache.clear();
+    downloads.clear();
+    extractor = pipeline('feature-extraction', model, { progress_callback: reportProgress });
+  }
+  extractor.then(
+    () => self.postMessage({ type: 'ready' }),
+    error => self.postMessage({ type: 'error', message: error.message })
+  );
+}
+
+async function embedQuery(query) {
+  if (!queryCache.has(query)) {
+    const output = await (await extractor)(query, { pooling: 'mean', normalize: true });
+    queryCache.set(query, Float32Array.from(output.data));
+  }
+  return queryCache.get(query);
+}
+
+// Positions of the entries in the partitions closest to the query
+function candidates(queryVector) {
+  return annIndex.centroids
+    .map((centroid, c) => ({ c, similarity: dot(queryVector, centroid) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, annIndex.nprobe)
+    .flatMap(({ c }) => annIndex.lists[c]);
+}
+
+function score(queryVector, limit, minScore) {
+  const queryNorm = Math.sqrt(dot(queryVector, queryVector));
+  const positions = annIndex && annIndex.centroids[0].length === queryVector.length
+    ? candidates(queryVector)
+    : entries.map((_, i) => i);
+
+  const scored = [];
+  positions.forEach(i => {
+    const { id, vector, norm, metadata } = entries[i];
+    if (!vector || vector.length !== queryVector.length || norm === 0 || queryNorm === 0) return;
+    const similarity = dot(vector, queryVector) / (norm * queryNorm);
+    if (similarity > minScore) scored.push({ id, score: similarity, metadata });
+  });
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+async function search({ requestId, query, limit = 50, minScore = 0.3 }) {
+  latestRequestId = requestId;
+  pending.add(requestId);
+  const isStale = () => cancelled.has(requestId) || latestRequestId !== requestId;
+
+  try {
+    if (!extractor) throw new Error('Search index not loaded');
+    const turn = inference.then(async () => {
+      await Promise.all([extractor, entriesLoaded]);
+      return isStale() ? null : embedQuery(query);
+    });
+    inference = turn.catch(() => {});
+    const queryVector = await turn;
+    if (!queryVector || isStale()) {
+      self.postMessage({ type: 'cancelled', requestId });
+      return;
+    }
+    self.postMessage({ type: 'results', requestId, results: score(queryVector, limit, minScore) });
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, message: error.message });
+  } finally {
+    pending.delete(requestId);
+    cancelled.delete(requestId);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') load(data);
+  else if (data.type === 'search') search(data);
+  else if (data.type === 'cancel' && pending.has(data.requestId)) cancelled.add(data.requestId);
+};
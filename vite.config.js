@@ -1,13 +1,34 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import path from 'path';
+
+// metadata.json is the last file written by scripts/process-data.js, so a
+// change to it means a new build is complete. Tell the app to refetch its
+// data instead of reloading the page, which would lose the current selection.
+function dataReload() {
+  return {
+    name: 'data-reload',
+    apply: 'serve',
+    handleHotUpdate({ file, server }) {
+      if (path.resolve(file) === path.join(server.config.publicDir, 'data', 'metadata.json')) {
+        server.ws.send({ type: 'custom', event: 'data:update' });
+        return [];
+      }
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), dataReload()],
   base: process.env.NODE_ENV === 'production' ? '/SESAP-validation-test/' : '/',
   build: {
     outDir: 'dist',
     assetsDir: 'assets',
   },
+  // The semantic search worker imports transformers.js, which splits into chunks
+  worker: {
+    format: 'es',
+  },
   server: {
     port: 3000,
   },